@@ -1,26 +1,389 @@
 /**
  * GitHub API module for Project Hub
- * Handles fetching repos and merging with config
+ * Provides the GitHub source provider, collects projects from every
+ * configured source (see providers.js) and merges them with config
  */
 
 const GitHubAPI = (function() {
     const API_BASE = 'https://api.github.com';
+    const SNAPSHOT_FILE = 'projects.json';
+
+    // Fields fetched per repo in authenticated mode; toRestRepo maps them
+    // back to the REST shape so transformRepo handles both the same way
+    const REPO_FIELDS = `
+        name
+        nameWithOwner
+        owner { login }
+        description
+        url
+        homepageUrl
+        isPrivate
+        isArchived
+        stargazerCount
+        forkCount
+        issues(states: OPEN) { totalCount }
+        pullRequests(states: OPEN) { totalCount }
+        licenseInfo { spdxId name }
+        createdAt
+        pushedAt
+        primaryLanguage { name }
+        repositoryTopics(first: 20) { nodes { topic { name } } }
+        latestRelease { name tagName url publishedAt releaseAssets(first: 20) { nodes { name downloadUrl } } }
+        refs(refPrefix: "refs/tags/", first: 1, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) { nodes { name } }
+        deployments(environments: ["github-pages"], first: 1, orderBy: { field: CREATED_AT, direction: DESC }) {
+            nodes { latestStatus { state environmentUrl } }
+        }
+    `;
+
+    const REPOS_QUERY = `
+        query($owner: String!, $after: String) {
+            repositoryOwner(login: $owner) {
+                login
+                avatarUrl
+                url
+                repositories(first: 100, after: $after, ownerAffiliations: OWNER, orderBy: { field: PUSHED_AT, direction: DESC }) {
+                    totalCount
+                    pageInfo { hasNextPage endCursor }
+                    nodes { ${REPO_FIELDS} }
+                }
+            }
+        }
+    `;
+
+    // Only set by the build scripts (from GITHUB_TOKEN); the page never has one
+    let token = null;
+
+    // Latest releases and tags that came with the GraphQL repo list, keyed by lowercase full name
+    const prefetchedReleases = new Map();
+    const prefetchedTags = new Map();
+
+    // Look a repo's release up again at most every six hours, found or not
+    const RELEASE_TTL = 6 * 60 * 60 * 1000;
+
+    // Checksums and signatures published next to the real download
+    const SIDECAR_ASSET = /\.(asc|sig|pem|md5|sha\d*|sbom\.json|intoto\.jsonl)$|(^|[-_.])(checksums?|sha\d*sums?)([-_.]|$)/i;
 
     /**
-     * Fetches all public repos for a user
-     * @param {string} username - GitHub username
+     * Sets the token used to authenticate API requests
+     * With a token, discovery switches to batched GraphQL queries, private
+     * Pages repos become visible and the rate limit rises to 5,000 an hour.
+     * @param {string|null} value - GitHub token, or null for anonymous requests
+     */
+    function setToken(value) {
+        token = value || null;
+    }
+
+    /**
+     * Parses a GitHub Link header into a map of rel => URL
+     * @param {string|null} header - Raw Link header value
+     * @returns {Object<string, string>} Links keyed by rel
+     */
+    function parseLinkHeader(header) {
+        const links = {};
+        if (!header) {
+            return links;
+        }
+
+        header.split(',').forEach(part => {
+            const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+            if (match) {
+                links[match[2]] = match[1];
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Reads the page number from a paginated API URL
+     * @param {string} url - API URL with a page query parameter
+     * @returns {number|null} Page number if present
+     */
+    function getPageNumber(url) {
+        const page = new URL(url).searchParams.get('page');
+        return page ? parseInt(page, 10) : null;
+    }
+
+    /**
+     * Creates an error describing a failed API response
+     * @param {Response} response - Failed fetch response
+     * @returns {Error} Error with status, rateLimited and (when rate limited) resetAt properties
+     */
+    function createApiError(response) {
+        const error = new Error(`GitHub API error: ${response.status}`);
+        error.status = response.status;
+        error.rateLimited = response.status === 429 ||
+            (response.status === 403 && response.headers.get('X-RateLimit-Remaining') === '0');
+
+        // X-RateLimit-Reset is in epoch seconds; secondary limits send Retry-After instead
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (error.rateLimited) {
+            error.resetAt = reset ? new Date(reset * 1000)
+                : retryAfter ? new Date(Date.now() + retryAfter * 1000)
+                    : null;
+        }
+
+        return error;
+    }
+
+    /**
+     * Fetches JSON from the API, revalidating cached responses by ETag
+     * A 304 Not Modified reply reuses the cached body and does not count
+     * against the unauthenticated rate limit.
+     * @param {string} url - API URL
+     * @param {Object} [options]
+     * @param {string} [options.accept] - Media type to request (e.g. rendered HTML)
+     * @param {boolean} [options.text] - Read the body as text instead of JSON
+     * @returns {Promise<{data: *, link: string|null}>} Response body and Link header
+     */
+    async function fetchJson(url, options = {}) {
+        const cached = ApiCache.getResponse(url);
+        const headers = cached ? { 'If-None-Match': cached.etag } : {};
+
+        if (options.accept) {
+            headers.Accept = options.accept;
+        }
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await Providers.request(url, { headers });
+
+        if (response.status === 304 && cached) {
+            return { data: cached.data, link: cached.link };
+        }
+
+        if (!response.ok) {
+            throw createApiError(response);
+        }
+
+        const data = options.text ? await response.text() : await response.json();
+        const link = response.headers.get('Link');
+        const etag = response.headers.get('ETag');
+
+        if (etag) {
+            ApiCache.setResponse(url, { etag, link, data });
+        }
+
+        return { data, link };
+    }
+
+    /**
+     * Fetches all public repos for a user or organization, following pagination
+     * @param {{type: string, name: string}} source - Source from config
+     * @param {Function} [onProgress] - Called after each page with { page, totalPages, loaded }
      * @returns {Promise<Object[]>} Array of repository objects
      */
-    async function fetchUserRepos(username) {
-        const url = `${API_BASE}/users/${username}/repos?per_page=100&sort=updated`;
-        
-        const response = await fetch(url);
-        
+    async function fetchSourceRepos(source, onProgress) {
+        const owners = source.type === 'org' ? 'orgs' : 'users';
+        let url = `${API_BASE}/${owners}/${source.name}/repos?per_page=100&sort=updated`;
+        let page = 1;
+        let totalPages = null;
+        const repos = [];
+
+        while (url) {
+            const { data, link } = await fetchJson(url);
+            repos.push(...data);
+
+            const links = parseLinkHeader(link);
+            if (links.last) {
+                totalPages = getPageNumber(links.last);
+            } else if (!links.next) {
+                // Last page has no "last" link, so we now know the total
+                totalPages = page;
+            }
+
+            if (onProgress) {
+                onProgress({ page, totalPages, loaded: repos.length });
+            }
+
+            url = links.next || null;
+            page++;
+        }
+
+        return repos;
+    }
+
+    /**
+     * Runs a GraphQL query (authenticated mode only)
+     * @param {string} query - GraphQL document
+     * @param {Object} variables - Query variables
+     * @returns {Promise<Object>} The response's `data`
+     */
+    async function fetchGraphQL(query, variables) {
+        const response = await Providers.request(`${API_BASE}/graphql`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ query, variables })
+        });
+
         if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
+            throw createApiError(response);
+        }
+
+        const body = await response.json();
+
+        if (body.errors && body.errors.length > 0) {
+            const error = new Error(`GitHub GraphQL error: ${body.errors.map(e => e.message).join('; ')}`);
+            error.rateLimited = body.errors.some(e => e.type === 'RATE_LIMITED');
+            throw error;
         }
 
-        return response.json();
+        return body.data;
+    }
+
+    /**
+     * Maps a GraphQL repository node to the REST repository shape
+     * Pages sites are recognised by their github-pages deployments, which
+     * also give the served URL and whether the last build failed.
+     * @param {Object} node - Repository node with REPO_FIELDS
+     * @returns {Object} REST-style repository object
+     */
+    function toRestRepo(node) {
+        const deployment = node.deployments.nodes[0];
+        const pagesStatus = deployment && deployment.latestStatus;
+
+        prefetchedReleases.set(node.nameWithOwner.toLowerCase(), node.latestRelease && {
+            name: node.latestRelease.name || node.latestRelease.tagName,
+            tag: node.latestRelease.tagName,
+            url: node.latestRelease.url,
+            publishedAt: node.latestRelease.publishedAt,
+            assets: node.latestRelease.releaseAssets.nodes.map(asset => ({ name: asset.name, url: asset.downloadUrl }))
+        });
+        prefetchedTags.set(node.nameWithOwner.toLowerCase(), node.refs.nodes[0] ? node.refs.nodes[0].name : null);
+
+        return {
+            name: node.name,
+            full_name: node.nameWithOwner,
+            owner: { login: node.owner.login },
+            description: node.description,
+            html_url: node.url,
+            homepage: node.homepageUrl,
+            private: node.isPrivate,
+            archived: node.isArchived,
+            has_pages: Boolean(deployment),
+            pages: pagesStatus ? {
+                html_url: pagesStatus.environmentUrl || null,
+                cname: null,
+                status: ['ERROR', 'FAILURE'].includes(pagesStatus.state) ? 'errored' : 'built'
+            } : undefined,
+            topics: node.repositoryTopics.nodes.map(item => item.topic.name),
+            language: node.primaryLanguage ? node.primaryLanguage.name : null,
+            stargazers_count: node.stargazerCount,
+            // REST counts open pull requests as issues too
+            open_issues_count: node.issues.totalCount + node.pullRequests.totalCount,
+            forks_count: node.forkCount,
+            license: node.licenseInfo && { spdx_id: node.licenseInfo.spdxId, name: node.licenseInfo.name },
+            created_at: node.createdAt,
+            pushed_at: node.pushedAt
+        };
+    }
+
+    /**
+     * Fetches all repos (public and private) for a user or organization with GraphQL
+     * One query covers up to 100 repos with their topics, release and Pages info.
+     * @param {{type: string, name: string}} source - Source from config
+     * @param {Function} [onProgress] - Called after each page with { page, totalPages, loaded }
+     * @returns {Promise<{repos: Object[], owner: Object}>} REST-style repos and the owner's profile
+     */
+    async function fetchSourceReposGraphQL(source, onProgress) {
+        const repos = [];
+        let after = null;
+        let page = 1;
+        let owner = null;
+
+        do {
+            const data = await fetchGraphQL(REPOS_QUERY, { owner: source.name, after });
+
+            if (!data.repositoryOwner) {
+                const error = new Error(`GitHub account not found: ${source.name}`);
+                error.status = 404;
+                throw error;
+            }
+
+            const { login, avatarUrl, url, repositories } = data.repositoryOwner;
+            owner = { login, avatar_url: avatarUrl, html_url: url };
+            repos.push(...repositories.nodes.map(toRestRepo));
+
+            if (onProgress) {
+                onProgress({ page, totalPages: Math.ceil(repositories.totalCount / 100) || 1, loaded: repos.length });
+            }
+
+            after = repositories.pageInfo.hasNextPage ? repositories.pageInfo.endCursor : null;
+            page++;
+        } while (after);
+
+        return { repos, owner };
+    }
+
+    /**
+     * Discovers projects from every configured source, de-duplicated by repo
+     * A source's own exclude list and topic filter apply to the projects it returns.
+     * Sources that fail are skipped and reported, unless every source fails.
+     * @param {Object[]} sources - Sources from Config.getSources()
+     * @param {Function} [onProgress] - Called after each page with { source, page, totalPages, loaded }
+     * @returns {Promise<{projects: Object[], repoNames: string[], profiles: Object[], failures: Object[]}>}
+     *     Projects, every discovered repo name (for config checks), profiles the providers
+     *     already returned, and { source, error } for each source that failed
+     */
+    async function discoverProjects(sources, onProgress) {
+        const projectsByKey = new Map();
+        const repoNames = [];
+        const profiles = [];
+        const failures = [];
+
+        // One source at a time so progress reads as a running total
+        for (const source of sources) {
+            const loadedBefore = projectsByKey.size;
+            let result;
+
+            try {
+                result = await Providers.get(source.provider).discover(source, progress => {
+                    if (onProgress) {
+                        onProgress({ ...progress, source: source.name || source.url, loaded: loadedBefore + progress.loaded });
+                    }
+                });
+            } catch (error) {
+                console.warn(`Could not load projects from ${getSourceLabel(source)}:`, error.message);
+                failures.push({ source, error });
+                continue;
+            }
+
+            repoNames.push(...result.repoNames);
+            if (result.profile) {
+                profiles.push({ source, profile: result.profile });
+            }
+
+            result.projects
+                .filter(project => !source.exclude.some(entry => Config.matchesRepo(entry, project) || entry === project.name))
+                .filter(project => !source.topic || project.tags.includes(source.topic))
+                .forEach(project => {
+                    const key = `${project.provider}:${(project.fullName || project.url).toLowerCase()}`;
+                    projectsByKey.set(key, project);
+                });
+        }
+
+        if (failures.length === sources.length && failures.length > 0) {
+            throw failures[0].error;
+        }
+
+        return { projects: [...projectsByKey.values()], repoNames, profiles, failures };
+    }
+
+    /**
+     * Describes a source for messages
+     * @param {Object} source - Source from Config.getSources()
+     * @returns {string} e.g. "GitLab (my-group)" or the list URL
+     */
+    function getSourceLabel(source) {
+        if (source.provider === 'json') {
+            return source.url;
+        }
+        return `${Providers.getLabel(source.provider)} (${source.name})`;
     }
 
     /**
@@ -29,15 +392,238 @@ const GitHubAPI = (function() {
      * @returns {Promise<Object>} User profile object
      */
     async function fetchUserProfile(username) {
-        const url = `${API_BASE}/users/${username}`;
-        
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
+        const { data } = await fetchJson(`${API_BASE}/users/${username}`);
+        return data;
+    }
+
+    /**
+     * Fetches a repo's README rendered to HTML by GitHub
+     * The HTML is untrusted and must be sanitized before display.
+     * @param {string} fullName - Repo full name ("owner/name")
+     * @returns {Promise<string|null>} README HTML, or null if the repo has none
+     */
+    async function fetchGitHubReadme(fullName) {
+        try {
+            const { data } = await fetchJson(`${API_BASE}/repos/${fullName}/readme`, {
+                accept: 'application/vnd.github.html+json',
+                text: true
+            });
+            return data;
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches a repo's latest published release
+     * @param {string} fullName - Repo full name ("owner/name")
+     * @returns {Promise<Object|null>} Release ({ name, tag, url, publishedAt, assets }), or null if none
+     */
+    async function fetchGitHubRelease(fullName) {
+        if (prefetchedReleases.has(fullName.toLowerCase())) {
+            return prefetchedReleases.get(fullName.toLowerCase());
+        }
+
+        try {
+            const { data } = await fetchJson(`${API_BASE}/repos/${fullName}/releases/latest`);
+            return {
+                name: data.name || data.tag_name,
+                tag: data.tag_name,
+                url: data.html_url,
+                publishedAt: data.published_at,
+                assets: (data.assets || []).map(asset => ({ name: asset.name, url: asset.browser_download_url }))
+            };
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches a repo's newest tag, for repos that tag versions without publishing releases
+     * The REST API lists tags newest name first; GraphQL orders them by commit date.
+     * @param {string} fullName - Repo full name ("owner/name")
+     * @returns {Promise<Object|null>} Tag in the release shape (no date or assets), or null if none
+     */
+    async function fetchGitHubTag(fullName) {
+        let tag;
+
+        if (prefetchedTags.has(fullName.toLowerCase())) {
+            tag = prefetchedTags.get(fullName.toLowerCase());
+        } else {
+            try {
+                const { data } = await fetchJson(`${API_BASE}/repos/${fullName}/tags?per_page=1`);
+                tag = data[0] ? data[0].name : null;
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+                tag = null;
+            }
+        }
+
+        return tag ? {
+            name: tag,
+            tag,
+            url: `https://github.com/${fullName}/releases/tag/${encodeURIComponent(tag)}`,
+            publishedAt: null,
+            assets: []
+        } : null;
+    }
+
+    /**
+     * Gets the key a project's release is stored under in the snapshot
+     * @param {Object} project - Project with provider and fullName
+     * @returns {string} Key such as "github:octocat/app"
+     */
+    function getReleaseKey(project) {
+        return `${project.provider}:${project.fullName}`.toLowerCase();
+    }
+
+    /**
+     * Gets the releases saved by earlier lookups, however old
+     * @param {Object[]} projects - Merged projects
+     * @returns {Object} Releases by getReleaseKey()
+     */
+    function getCachedReleases(projects) {
+        const releases = {};
+
+        projects.filter(project => project.provider && project.fullName).forEach(project => {
+            const cached = ApiCache.getRelease(getReleaseKey(project));
+            if (cached && cached.release) {
+                releases[getReleaseKey(project)] = cached.release;
+            }
+        });
+
+        return releases;
+    }
+
+    /**
+     * Fetches the latest release of every repo-backed project, falling back
+     * to the newest tag (see `releases:` in projects.yaml)
+     * Lookups are cached for RELEASE_TTL, including repos with no release,
+     * so repeat visits don't spend the rate limit on them. A project whose
+     * lookup fails keeps its cached release, if any.
+     * @param {Object[]} projects - Merged projects
+     * @returns {Promise<Object>} Releases by getReleaseKey()
+     */
+    async function fetchReleases(projects) {
+        const options = Config.getReleaseOptions();
+        const releases = {};
+
+        if (!options.enabled) {
+            return releases;
+        }
+
+        await Promise.all(projects.filter(project => project.provider && project.fullName).map(async project => {
+            const provider = Providers.get(project.provider);
+            const key = getReleaseKey(project);
+            const cached = ApiCache.getRelease(key);
+
+            if (cached && Date.now() - cached.checkedAt < RELEASE_TTL) {
+                if (cached.release) {
+                    releases[key] = cached.release;
+                }
+                return;
+            }
+
+            try {
+                let release = provider.fetchLatestRelease ? await provider.fetchLatestRelease(project) : null;
+                if (!release && options.tags && provider.fetchLatestTag) {
+                    release = await provider.fetchLatestTag(project);
+                }
+
+                ApiCache.setRelease(key, { release, checkedAt: Date.now() });
+                if (release) {
+                    releases[key] = release;
+                }
+            } catch (error) {
+                console.warn(`Could not load the latest release of ${project.fullName}:`, error.message);
+                if (cached && cached.release) {
+                    releases[key] = cached.release;
+                }
+            }
+        }));
+
+        return releases;
+    }
+
+    /**
+     * Adds version badge data to projects, looking releases up if `releases:` is enabled
+     * Kept out of getProjects so the list can render before the lookups finish.
+     * @param {Object[]} projects - Merged projects
+     * @returns {Promise<Object[]>} Projects, with `release` where one was found
+     */
+    async function addReleases(projects) {
+        return applyReleases(projects, await fetchReleases(projects));
+    }
+
+    /**
+     * Checks an asset name against an `asset:` pattern, where * matches anything
+     * @param {string} name - Asset file name
+     * @param {string} pattern - Pattern such as "*-windows.zip"
+     * @returns {boolean} Whether the name matches (case-insensitive)
+     */
+    function matchesAssetPattern(name, pattern) {
+        const source = pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${source}$`, 'i').test(name);
+    }
+
+    /**
+     * Picks the asset a tile's Download link points at
+     * With a pattern, the first matching asset; otherwise the first asset
+     * that isn't a checksum or signature file.
+     * @param {{name: string, url: string}[]} assets - Release assets
+     * @param {string|null} pattern - `asset:` pattern from projects.yaml
+     * @returns {{name: string, url: string}|null} Primary asset, or null
+     */
+    function getPrimaryAsset(assets, pattern) {
+        const asset = pattern
+            ? assets.find(candidate => matchesAssetPattern(candidate.name, pattern))
+            : assets.find(candidate => !SIDECAR_ASSET.test(candidate.name));
+        return asset ? { name: asset.name, url: asset.url } : null;
+    }
+
+    /**
+     * Adds the version badge data to projects with a known release
+     * Done on every merge, so `asset:` changes apply to cached releases too.
+     * @param {Object[]} projects - Merged projects
+     * @param {Object} [releases] - Releases by getReleaseKey()
+     * @returns {Object[]} Projects, with `release: { name, tag, url, publishedAt, download }` where known
+     */
+    function applyReleases(projects, releases) {
+        if (!releases) {
+            return projects;
         }
 
-        return response.json();
+        const defaultPattern = Config.getReleaseOptions().asset;
+
+        return projects.map(project => {
+            const release = project.fullName ? releases[getReleaseKey(project)] : null;
+            if (!release) {
+                return project;
+            }
+
+            const entry = Config.getProjectOverride(project);
+            return {
+                ...project,
+                release: {
+                    name: release.name,
+                    tag: release.tag,
+                    url: release.url,
+                    publishedAt: release.publishedAt,
+                    download: getPrimaryAsset(release.assets || [], (entry && entry.asset) || defaultPattern)
+                }
+            };
+        });
     }
 
     /**
@@ -49,40 +635,186 @@ const GitHubAPI = (function() {
         return repos.filter(repo => repo.has_pages);
     }
 
+    /**
+     * Gets a short display name for a repo license
+     * @param {Object|null} license - GitHub license object
+     * @returns {string|null} SPDX id (e.g. "MIT"), license name, or null
+     */
+    function getLicenseName(license) {
+        if (!license) {
+            return null;
+        }
+
+        // GitHub reports unrecognized licenses as NOASSERTION
+        return license.spdx_id && license.spdx_id !== 'NOASSERTION' ? license.spdx_id : license.name || null;
+    }
+
+    /**
+     * Splits a config repo reference into owner and name
+     * @param {string} entry - "name" or "owner/name"
+     * @param {string} defaultOwner - Owner to assume when none is given
+     * @returns {{owner: string, name: string}} Owner and repo name
+     */
+    function parseRepoEntry(entry, defaultOwner) {
+        const [owner, name] = entry.includes('/') ? entry.split('/') : [defaultOwner, entry];
+        return { owner, name };
+    }
+
+    /**
+     * Builds the GitHub Pages URL for a repo
+     * The `<owner>.github.io` repo is the owner's root site; every other repo
+     * is served from a subpath. Works the same for user and org owners.
+     * @param {string} owner - Repo owner login
+     * @param {string} name - Repo name
+     * @returns {string} Pages URL
+     */
+    function getPagesUrl(owner, name) {
+        const host = `${owner.toLowerCase()}.github.io`;
+        return name.toLowerCase() === host ? `https://${host}/` : `https://${host}/${name}/`;
+    }
+
+    /**
+     * Resolves where a repo's site is actually served
+     * Prefers the repo's homepage, then the Pages API URL or custom domain
+     * (when looked up), then the default github.io URL.
+     * @param {Object} repo - GitHub repository object, with `pages` if looked up
+     * @returns {string} Site URL
+     */
+    function resolveSiteUrl(repo) {
+        if (Providers.isWebUrl(repo.homepage)) {
+            return repo.homepage;
+        }
+        if (repo.pages && Providers.isWebUrl(repo.pages.html_url)) {
+            return repo.pages.html_url;
+        }
+        if (repo.pages && repo.pages.cname) {
+            return `https://${repo.pages.cname}/`;
+        }
+        return getPagesUrl(repo.owner.login, repo.name);
+    }
+
+    /**
+     * Fetches Pages site info (URL, custom domain, build status) for each repo
+     * Stores it on the repo objects as `pages`; repos whose lookup fails keep the default URL.
+     * @param {Object[]} repos - Pages-enabled GitHub repository objects
+     * @returns {Promise<void>}
+     */
+    async function fetchPagesInfo(repos) {
+        await Promise.all(repos.map(async repo => {
+            try {
+                const { data } = await fetchJson(`${API_BASE}/repos/${repo.full_name}/pages`);
+                repo.pages = {
+                    html_url: data.html_url || null,
+                    cname: data.cname || null,
+                    status: data.status || null
+                };
+            } catch (error) {
+                console.warn(`Could not look up Pages info for ${repo.full_name}:`, error.message);
+            }
+        }));
+    }
+
+    /**
+     * Checks whether each project's site responds, marking broken ones offline
+     * GitHub Pages sends permissive CORS headers, so a HEAD request can read
+     * the status. Sites that block CORS are left unmarked rather than guessed at.
+     * @param {Object[]} projects - Projects to check (mutated: `status` is set)
+     * @returns {Promise<Object[]>} The projects that turned out to be offline
+     */
+    async function checkHealth(projects) {
+        const checked = projects.filter(project => Providers.isWebUrl(project.url) && project.status !== 'offline');
+
+        await Promise.all(checked.map(async project => {
+            try {
+                const response = await fetch(project.url, { method: 'HEAD', cache: 'no-store' });
+                project.status = response.ok ? 'online' : 'offline';
+            } catch (error) {
+                // Network error or CORS - we can't tell, so don't claim it's down
+            }
+        }));
+
+        return projects.filter(project => project.status === 'offline');
+    }
+
     /**
      * Transforms a GitHub repo into our project format
      * @param {Object} repo - GitHub repository object
-     * @param {string} username - GitHub username
      * @returns {Object} Project object
      */
-    function transformRepo(repo, username) {
+    function transformRepo(repo) {
         return {
             name: repo.name,
+            repo: repo.name,
+            fullName: repo.full_name,
+            owner: repo.owner.login,
             description: repo.description || '',
-            url: `https://${username}.github.io/${repo.name}/`,
-            repoUrl: repo.html_url,
+            url: resolveSiteUrl(repo),
+            // Private repos can still publish Pages, but visitors can't open the source
+            repoUrl: repo.private ? null : repo.html_url,
+            private: Boolean(repo.private),
             thumbnail: null,
-            isAutoDiscovered: true
+            tags: Config.normalizeTags([...(repo.topics || []), repo.language]),
+            language: repo.language || null,
+            languageColor: Languages.getColor(repo.language),
+            archived: Boolean(repo.archived),
+            stars: repo.stargazers_count,
+            forks: repo.forks_count,
+            openIssues: repo.open_issues_count,
+            license: getLicenseName(repo.license),
+            createdAt: repo.created_at,
+            pushedAt: repo.pushed_at,
+            // A failed Pages build means the deployed site is broken or stale
+            status: repo.pages && repo.pages.status === 'errored' ? 'offline' : null,
+            featured: false,
+            isAutoDiscovered: true,
+            provider: 'github',
+            host: 'https://github.com'
+        };
+    }
+
+    /**
+     * Transforms a manual projects.yaml entry into our project format
+     * @param {Object} p - Normalized project entry
+     * @param {string} username - Owner assumed for `repo:` entries without one
+     * @returns {Object} Project object
+     */
+    function transformManualProject(p, username) {
+        const repo = p.repo ? parseRepoEntry(p.repo, username) : null;
+
+        return {
+            name: p.name || p.repo || 'Untitled',
+            repo: repo ? repo.name : null,
+            fullName: repo ? `${repo.owner}/${repo.name}` : null,
+            owner: repo ? repo.owner : null,
+            description: p.description || '',
+            url: p.url || (repo ? getPagesUrl(repo.owner, repo.name) : '#'),
+            repoUrl: p.repoUrl !== undefined ? p.repoUrl : (repo ? `https://github.com/${repo.owner}/${repo.name}` : null),
+            thumbnail: p.thumbnail,
+            tags: p.tags,
+            featured: p.featured,
+            isAutoDiscovered: false,
+            // `repo:` entries always refer to GitHub
+            provider: repo ? 'github' : null,
+            host: repo ? 'https://github.com' : null
         };
     }
 
     /**
-     * Merges auto-discovered repos with config overrides
-     * @param {Object[]} repos - Auto-discovered repos
-     * @param {Object} config - Configuration module reference
+     * Merges auto-discovered projects with config overrides
+     * @param {Object[]} discovered - Projects from the source providers
+     * @param {string} username - Owner assumed for `repo:` entries without one
      * @returns {Object[]} Merged and ordered projects array
      */
-    function mergeWithConfig(repos, username) {
+    function mergeWithConfig(discovered, username) {
         const excluded = Config.getExcluded();
-        const order = Config.getOrder();
         const reposWithCustomUrls = Config.getReposWithCustomUrls();
-        
+        const isListed = (list, project) => list.some(entry => Config.matchesRepo(entry, project));
+
         // Filter out excluded repos and repos with custom URLs (they'll be added as manual projects)
-        let projects = repos
-            .filter(repo => !excluded.includes(repo.name) && !reposWithCustomUrls.includes(repo.name))
-            .map(repo => {
-                const project = transformRepo(repo, username);
-                const override = Config.getProjectOverride(repo.name);
+        let projects = discovered
+            .filter(project => !isListed(excluded, project) && !isListed(reposWithCustomUrls, project))
+            .map(project => {
+                const override = Config.getProjectOverride(project);
                 
                 if (override) {
                     // Apply overrides
@@ -91,7 +823,9 @@ const GitHubAPI = (function() {
                         name: override.name || project.name,
                         description: override.description || project.description,
                         url: override.url || project.url,
-                        thumbnail: override.thumbnail || project.thumbnail
+                        thumbnail: override.thumbnail || project.thumbnail,
+                        tags: Config.normalizeTags([...override.tags, ...project.tags]),
+                        featured: override.featured
                     };
                 }
                 
@@ -99,112 +833,343 @@ const GitHubAPI = (function() {
             });
 
         // Add manual projects (external, non-GitHub-Pages, or repos with custom URLs)
-        const manualProjects = Config.getManualProjects().map(p => ({
-            name: p.name || p.repo,
-            description: p.description || '',
-            url: p.url,
-            repoUrl: p.repoUrl !== undefined ? p.repoUrl : (p.repo ? `https://github.com/${username}/${p.repo}` : null),
-            thumbnail: p.thumbnail,
-            isAutoDiscovered: false
-        }));
+        const manualProjects = Config.getManualProjects().map(p => transformManualProject(p, username));
 
         projects = [...projects, ...manualProjects];
 
-        // Apply custom ordering
-        if (order.length > 0) {
-            projects.sort((a, b) => {
+        return sortProjects(projects, 'config');
+    }
+
+    /**
+     * Compares two optional values so that larger ones come first
+     * and missing ones (e.g. external projects without repo data) come last
+     * @param {number|null} a - First value
+     * @param {number|null} b - Second value
+     * @returns {number} Comparator result
+     */
+    function compareDescending(a, b) {
+        const aMissing = a === null || a === undefined || Number.isNaN(a);
+        const bMissing = b === null || b === undefined || Number.isNaN(b);
+
+        if (aMissing && bMissing) return 0;
+        if (aMissing) return 1;
+        if (bMissing) return -1;
+        return b - a;
+    }
+
+    /**
+     * Sorts projects by one of the supported sort modes
+     * Ties (and projects missing the sorted field) fall back to alphabetical.
+     * @param {Object[]} projects - Projects to sort
+     * @param {string} mode - config | name | updated | stars | created
+     * @returns {Object[]} New, sorted array
+     */
+    function sortProjects(projects, mode) {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const order = Config.getOrder();
+
+        const comparators = {
+            // Repos listed in `order:` first, in that order, then alphabetical
+            config: (a, b) => {
                 const aIndex = order.indexOf(a.name);
                 const bIndex = order.indexOf(b.name);
-                
-                // If both are in order array, sort by their position
-                if (aIndex !== -1 && bIndex !== -1) {
-                    return aIndex - bIndex;
-                }
-                // If only a is in order array, it comes first
+
+                if (aIndex !== -1 && bIndex !== -1) return aIndex - bIndex;
                 if (aIndex !== -1) return -1;
-                // If only b is in order array, it comes first
                 if (bIndex !== -1) return 1;
-                // Otherwise, sort alphabetically
-                return a.name.localeCompare(b.name);
-            });
-        } else {
-            // Default alphabetical sort
-            projects.sort((a, b) => a.name.localeCompare(b.name));
-        }
+                return 0;
+            },
+            name: () => 0,
+            updated: (a, b) => compareDescending(Date.parse(a.pushedAt), Date.parse(b.pushedAt)),
+            stars: (a, b) => compareDescending(a.stars, b.stars),
+            created: (a, b) => compareDescending(Date.parse(a.createdAt), Date.parse(b.createdAt))
+        };
+
+        const compare = comparators[mode] || comparators.config;
 
-        return projects;
+        return [...projects].sort((a, b) => compare(a, b) || byName(a, b));
+    }
+
+    /**
+     * Transforms a GitHub user object into our profile format
+     * @param {Object} profile - GitHub user object
+     * @returns {Object} Profile object
+     */
+    function transformProfile(profile) {
+        return {
+            username: profile.login,
+            avatarUrl: profile.avatar_url,
+            profileUrl: profile.html_url
+        };
     }
 
     /**
      * Main function to fetch and process all projects
-     * @returns {Promise<{projects: Object[], profile: Object}>} Projects and profile data
+     * Saves the discovered projects as the last good snapshot when every source loaded.
+     * Releases are added separately (see addReleases).
+     * @param {Function} [onProgress] - Receives repo pagination progress
+     * @param {Object} [options]
+     * @param {boolean} [options.profile] - Set false to skip fetching a profile the caller won't show
+     *     (the last saved one, if any, is kept in the snapshot)
+     * @returns {Promise<{projects: Object[], profile: Object|null, failures: {source: string, error: Error}[]}>}
+     *     Projects, profile data and the sources that could not be loaded
      */
-    async function getProjects() {
+    async function getProjects(onProgress, { profile: includeProfile = true } = {}) {
         const username = Config.getUsername();
-        
-        // Fetch repos and profile in parallel
-        const [repos, profile] = await Promise.all([
-            fetchUserRepos(username),
-            fetchUserProfile(username)
-        ]);
+        const sources = Config.getSources();
+
+        const { projects: discovered, repoNames, profiles, failures } = await discoverProjects(sources, onProgress);
 
-        // Filter for GitHub Pages repos
-        const pagesRepos = filterPagesEnabled(repos);
+        // Names from a failed source are unknown, so unmatched entries may be fine
+        if (failures.length === 0) {
+            Config.checkRepoNames(repoNames);
+        }
+
+        const profile = includeProfile
+            ? await getProfile(username, sources, profiles).catch(error => {
+                console.warn('Could not load the profile:', error.message);
+                return null;
+            })
+            : (ApiCache.getSnapshot(getSnapshotKey(sources)) || {}).profile || null;
+
+        // A partial list must not replace the last complete one
+        if (failures.length === 0) {
+            ApiCache.setSnapshot(getSnapshotKey(sources), { projects: discovered, profile });
+        }
 
         // Merge with config
-        const projects = mergeWithConfig(pagesRepos, username);
+        const projects = mergeWithConfig(discovered, username);
 
         return {
             projects,
-            profile: {
-                username: profile.login,
-                avatarUrl: profile.avatar_url,
-                profileUrl: profile.html_url
-            }
+            profile,
+            failures: failures.map(failure => ({ source: getSourceLabel(failure.source), error: failure.error }))
         };
     }
 
+    /**
+     * Gets the profile shown in the header
+     * Uses the source named by `username` (or GitHub when no source has that
+     * name), reusing a profile the provider already returned with its projects.
+     * @param {string} username - Config.getUsername()
+     * @param {Object[]} sources - Sources from Config.getSources()
+     * @param {{source: Object, profile: Object}[]} profiles - Profiles returned during discovery
+     * @returns {Promise<Object|null>} Profile, or null when no account is configured
+     */
+    async function getProfile(username, sources, profiles) {
+        if (!username) {
+            return null;
+        }
+
+        const isUser = source => Boolean(source.name) && source.name.toLowerCase() === username.toLowerCase();
+        const known = profiles.find(entry => isUser(entry.source));
+        if (known) {
+            return known.profile;
+        }
+
+        const source = sources.find(isUser) || { provider: 'github', type: 'user', name: username };
+        const provider = Providers.get(source.provider);
+        return provider.fetchProfile ? provider.fetchProfile(source) : null;
+    }
+
+    /**
+     * Gets the cache key for the snapshot of a set of sources
+     * @param {Object[]} sources - Sources from Config.getSources()
+     * @returns {string} Key such as "github::user:alice,gitlab::org:acme"
+     */
+    function getSnapshotKey(sources) {
+        return sources
+            .map(source => (source.provider === 'json'
+                ? `json:${source.url}`
+                : `${source.provider}:${source.host || ''}:${source.type}:${source.name}`))
+            .join(',');
+    }
+
+    /**
+     * Builds projects from the last good snapshot, without any network access
+     * @returns {{projects: Object[], profile: Object, savedAt: number}|null} Cached data, or null
+     */
+    function getCachedProjects() {
+        const username = Config.getUsername();
+        const snapshot = ApiCache.getSnapshot(getSnapshotKey(Config.getSources()));
+
+        // Snapshots from before providers held raw GitHub repos; those are refetched
+        if (!snapshot || !snapshot.projects) {
+            return null;
+        }
+
+        const projects = mergeWithConfig(snapshot.projects, username);
+
+        return {
+            projects: applyReleases(projects, getCachedReleases(projects)),
+            profile: snapshot.profile,
+            savedAt: snapshot.savedAt
+        };
+    }
+
+    /**
+     * Carries build-time data over to a list fetched in the browser
+     * The anonymous live refresh (and the local cache it saves) can't see private
+     * repos, so a token-built projects.json's private projects are appended, and
+     * thumbnails saved by `--save-thumbnails` are copied onto projects without one.
+     * @param {Object|null} result - Projects and profile from GitHubAPI
+     * @param {Object|null} snapshot - Build-time snapshot
+     * @returns {Object|null} Result merged with the snapshot
+     */
+    function mergeSnapshot(result, snapshot) {
+        if (!result || !snapshot || result === snapshot) {
+            return result;
+        }
+
+        const getKey = project => (project.fullName || '').toLowerCase();
+        const saved = new Map(snapshot.projects.filter(project => project.fullName).map(project => [getKey(project), project]));
+        const known = new Set(result.projects.map(getKey));
+
+        const projects = result.projects.map(project => {
+            const previous = saved.get(getKey(project));
+            return !project.thumbnail && previous && previous.thumbnail
+                ? { ...project, thumbnail: previous.thumbnail }
+                : project;
+        });
+        const missing = snapshot.projects.filter(project => project.private && !known.has(getKey(project)));
+
+        return { ...result, projects: [...projects, ...missing] };
+    }
+
+    /**
+     * Loads the build-time snapshot generated by scripts/build-snapshot.js
+     * @param {string} [url] - Snapshot location (defaults to projects.json next to the page)
+     * @returns {Promise<{projects: Object[], profile: Object, savedAt: number}|null>} Snapshot, or null if absent
+     */
+    async function getStaticProjects(url = SNAPSHOT_FILE) {
+        try {
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                return null;
+            }
+
+            const snapshot = await response.json();
+
+            return {
+                projects: snapshot.projects,
+                profile: snapshot.profile,
+                savedAt: Date.parse(snapshot.generatedAt) || 0
+            };
+        } catch (error) {
+            console.warn(`Could not load ${url}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Fallback function when API fails - returns only manual projects
      * @returns {Promise<{projects: Object[], profile: Object}>} Manual projects only
      */
     async function getManualProjectsOnly() {
         const username = Config.getUsername();
+        const source = Config.getSources().find(s => s.name === username);
         
-        const manualProjects = Config.getProjects().map(p => ({
-            name: p.name || p.repo || 'Untitled',
-            description: p.description || '',
-            url: p.url || (p.repo ? `https://${username}.github.io/${p.repo}/` : '#'),
-            repoUrl: p.repoUrl !== null ? p.repoUrl : (p.repo ? `https://github.com/${username}/${p.repo}` : null),
-            thumbnail: p.thumbnail,
-            isAutoDiscovered: false
-        }));
+        const manualProjects = Config.getProjects().map(p => transformManualProject(p, username));
 
-        // Sort by order config, then alphabetically
-        const order = Config.getOrder();
-        manualProjects.sort((a, b) => {
-            const aIndex = order.indexOf(a.name);
-            const bIndex = order.indexOf(b.name);
-            
-            if (aIndex !== -1 && bIndex !== -1) return aIndex - bIndex;
-            if (aIndex !== -1) return -1;
-            if (bIndex !== -1) return 1;
-            return a.name.localeCompare(b.name);
-        });
+        // Only GitHub serves avatars at a predictable URL
+        const isGitHubUser = username && (!source || source.provider === 'github');
 
         return {
-            projects: manualProjects,
-            profile: {
+            projects: sortProjects(manualProjects, 'config'),
+            profile: isGitHubUser ? {
                 username: username,
                 avatarUrl: `https://github.com/${username}.png`,
                 profileUrl: `https://github.com/${username}`
-            }
+            } : null
         };
     }
 
+    /**
+     * Fetches the rendered README of a project from its provider
+     * The HTML is untrusted and must be sanitized before display.
+     * @param {Object} project - Project with provider and fullName
+     * @returns {Promise<{html: string, linkBase: string, imageBase: string}|null>} README, or null if unavailable
+     */
+    async function fetchReadme(project) {
+        const provider = project.provider && project.fullName ? Providers.get(project.provider) : null;
+        return provider && provider.fetchReadme ? provider.fetchReadme(project) : null;
+    }
+
+    /**
+     * Fetches the latest release of a project from its provider
+     * @param {Object} project - Project with provider and fullName
+     * @returns {Promise<{name: string, tag: string, url: string, publishedAt: string}|null>} Release, or null if none
+     */
+    async function fetchLatestRelease(project) {
+        const provider = project.provider && project.fullName ? Providers.get(project.provider) : null;
+        return provider && provider.fetchLatestRelease ? provider.fetchLatestRelease(project) : null;
+    }
+
+    Providers.register('github', {
+        label: 'GitHub',
+
+        async discover(source, onProgress) {
+            let repos;
+            let owner = null;
+
+            if (token) {
+                ({ repos, owner } = await fetchSourceReposGraphQL(source, onProgress));
+            } else {
+                repos = await fetchSourceRepos(source, onProgress);
+            }
+
+            // Only repos with GitHub Pages are listed
+            const pagesRepos = filterPagesEnabled(repos);
+
+            // GraphQL already brought Pages info along with each repo
+            if (Config.getPagesOptions().lookup && !token) {
+                await fetchPagesInfo(pagesRepos);
+            }
+
+            return {
+                projects: pagesRepos.map(transformRepo),
+                repoNames: repos.flatMap(repo => [repo.name, repo.full_name.toLowerCase()]),
+                profile: owner && transformProfile(owner)
+            };
+        },
+
+        async fetchProfile(source) {
+            return transformProfile(await fetchUserProfile(source.name));
+        },
+
+        async fetchReadme(project) {
+            const html = await fetchGitHubReadme(project.fullName);
+
+            // Relative links point into the repo, relative images at its raw files
+            return html === null ? null : {
+                html,
+                linkBase: `https://github.com/${project.fullName}/blob/HEAD/`,
+                imageBase: `https://github.com/${project.fullName}/raw/HEAD/`
+            };
+        },
+
+        fetchLatestRelease(project) {
+            return fetchGitHubRelease(project.fullName);
+        },
+
+        fetchLatestTag(project) {
+            return fetchGitHubTag(project.fullName);
+        }
+    });
+
     return {
         getProjects,
+        getCachedProjects,
+        getStaticProjects,
+        addReleases,
+        mergeSnapshot,
+        sortProjects,
+        checkHealth,
         getManualProjectsOnly,
-        fetchUserProfile
+        fetchUserProfile,
+        fetchReadme,
+        fetchLatestRelease,
+        setToken
     };
 })();
@@ -4,206 +4,1319 @@
  */
 
 const App = (function() {
+    // Kept separate from the API cache prefix so clearing the cache keeps preferences
+    const PREFERENCE_PREFIX = 'project-hub-pref:';
+    const SORT_MODES = ['config', 'name', 'updated', 'stars', 'created'];
+    const THEME_MODES = ['light', 'dark', 'system'];
+    const VIEWS = ['projects', 'stats'];
+    const LAYOUTS = ['cards', 'list', 'compact'];
+    const GROUPS = ['none', 'language', 'owner', 'tag'];
+    // Cards and compact icons are tiles; the list layout uses table rows
+    const ITEM_SELECTOR = '.project-tile, .project-row';
+    // Heading of the group for projects without a language, owner or tag
+    const UNGROUPED_TITLES = { language: 'No language', owner: 'No owner', tag: 'Untagged' };
+    // Placeholder tiles shown in #loading until the first projects render
+    const SKELETON_TILES = 6;
+
     // DOM Elements
     let elements = {};
     
     // State
     let allProjects = [];
+    // Project => its tiles or rows; more than one when grouped by several tags
+    let tiles = new Map();
+    let searchQuery = '';
+    let activeTags = new Set();
+    let tagMatchMode = 'any';
+    let sortMode = 'config';
+    let view = 'projects';
+    let layout = 'cards';
+    let groupBy = 'none';
+    let collapsedGroups = new Set();
+    let showOwners = false;
+    let themeMode = 'system';
+    let slugs = new Map();
+    let detailProject = null;
+    let detailPushed = false;
+
+    /**
+     * Initialize DOM element references
+     */
+    function initElements() {
+        elements = {
+            themeToggle: document.getElementById('theme-toggle'),
+            siteTitle: document.getElementById('site-title'),
+            profilePic: document.getElementById('profile-pic'),
+            username: document.getElementById('username'),
+            githubLink: document.getElementById('github-link'),
+            searchInput: document.getElementById('search-input'),
+            sortSelect: document.getElementById('sort-select'),
+            tagFilters: document.getElementById('tag-filters'),
+            loading: document.getElementById('loading'),
+            loadingProgress: document.getElementById('loading-progress'),
+            skeletonGrid: document.getElementById('skeleton-grid'),
+            loadState: document.getElementById('load-state'),
+            loadStateTitle: document.getElementById('load-state-title'),
+            loadStateMessage: document.getElementById('load-state-message'),
+            loadStateRetry: document.getElementById('load-state-retry'),
+            viewButtons: document.querySelectorAll('.view-button[data-view]'),
+            layoutControls: document.getElementById('layout-controls'),
+            layoutButtons: document.querySelectorAll('.view-button[data-layout]'),
+            groupSelect: document.getElementById('group-select'),
+            statsView: document.getElementById('stats-view'),
+            hub: document.getElementById('project-hub'),
+            projectGrid: document.getElementById('project-hub').container,
+            noResults: document.getElementById('no-results'),
+            resultsStatus: document.getElementById('results-status'),
+            diagnostics: document.getElementById('diagnostics'),
+            detail: document.getElementById('project-detail'),
+            detailContent: document.getElementById('detail-content'),
+            detailClose: document.getElementById('detail-close'),
+            backToTop: document.getElementById('back-to-top')
+        };
+    }
+
+    /**
+     * Read a persisted visitor preference
+     * @param {string} key - Preference name
+     * @returns {string|null} Stored value, or null if unset or storage is unavailable
+     */
+    function readPreference(key) {
+        try {
+            return window.localStorage.getItem(PREFERENCE_PREFIX + key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Persist a visitor preference
+     * @param {string} key - Preference name
+     * @param {string} value - Value to store
+     */
+    function writePreference(key, value) {
+        try {
+            window.localStorage.setItem(PREFERENCE_PREFIX + key, value);
+        } catch (error) {
+            // Storage disabled or full - the choice just won't persist
+        }
+    }
+
+    /**
+     * Initialize sort mode from the visitor's saved choice or the config default
+     */
+    function initSort() {
+        const saved = readPreference('sort');
+        sortMode = SORT_MODES.includes(saved) ? saved : Config.getDefaultSort();
+        elements.sortSelect.value = sortMode;
+    }
+
+    /**
+     * Handle a change of sort mode from the dropdown
+     * @param {Event} e - Change event
+     */
+    function handleSortChange(e) {
+        setSortMode(e.target.value);
+    }
+
+    /**
+     * Sort by a mode and remember it, from the dropdown or a list column header
+     * @param {string} mode - config | name | updated | stars | created
+     */
+    function setSortMode(mode) {
+        sortMode = mode;
+        elements.sortSelect.value = sortMode;
+        writePreference('sort', sortMode);
+        allProjects = GitHubAPI.sortProjects(allProjects, sortMode);
+        applyFilters();
+    }
+
+    /**
+     * Initialize layout and grouping from the visitor's saved choices or the config defaults
+     */
+    function initLayout() {
+        const savedLayout = readPreference('layout');
+        const savedGroup = readPreference('group');
+        layout = LAYOUTS.includes(savedLayout) ? savedLayout : Config.getDefaultLayout();
+        groupBy = GROUPS.includes(savedGroup) ? savedGroup : Config.getDefaultGroup();
+        elements.groupSelect.value = groupBy;
+        updateLayoutControls();
+    }
+
+    /**
+     * Reflect the current layout in the switch and on the project list
+     */
+    function updateLayoutControls() {
+        elements.layoutButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.layout === layout));
+        });
+        elements.projectGrid.classList.toggle('layout-list', layout === 'list');
+        elements.projectGrid.classList.toggle('layout-compact', layout === 'compact');
+    }
+
+    /**
+     * Handle clicks on the Cards / List / Compact switch
+     * @param {MouseEvent} e - Click event
+     */
+    function handleLayoutClick(e) {
+        layout = e.currentTarget.dataset.layout;
+        writePreference('layout', layout);
+        updateLayoutControls();
+        renderProjects(allProjects);
+        applyFilters();
+    }
+
+    /**
+     * Handle a change of grouping from the dropdown
+     * @param {Event} e - Change event
+     */
+    function handleGroupChange(e) {
+        groupBy = e.target.value;
+        writePreference('group', groupBy);
+        applyFilters();
+    }
+
+    /**
+     * Sort by a list column when its header is clicked
+     * The tables are rebuilt, so focus moves to the same header in the new one.
+     * @param {MouseEvent} e - Click event
+     */
+    function handleColumnClick(e) {
+        const button = e.target.closest('.column-sort');
+        if (!button) {
+            return;
+        }
+
+        const selector = `.column-sort[data-sort="${button.dataset.sort}"]`;
+        const index = [...elements.projectGrid.querySelectorAll(selector)].indexOf(button);
+
+        setSortMode(button.dataset.sort);
+        elements.projectGrid.querySelectorAll(selector)[index]?.focus();
+    }
+
+    /**
+     * Initialize theme from the visitor's saved mode (light, dark or system)
+     * js/theme-init.js has already applied it before first paint; this keeps
+     * "system" in step with OS changes for the rest of the session.
+     */
+    function initTheme() {
+        const saved = readPreference('theme');
+        themeMode = THEME_MODES.includes(saved) ? saved : 'system';
+        applyTheme();
+
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+            if (themeMode === 'system') {
+                applyTheme();
+            }
+        });
+    }
+
+    /**
+     * Apply the current theme mode to the page and the toggle button
+     */
+    function applyTheme() {
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        const theme = themeMode === 'system' ? (prefersDark ? 'dark' : 'light') : themeMode;
+        const next = THEME_MODES[(THEME_MODES.indexOf(themeMode) + 1) % THEME_MODES.length];
+
+        document.documentElement.setAttribute('data-theme', theme);
+        document.documentElement.setAttribute('data-theme-mode', themeMode);
+        elements.hub.setAttribute('theme', theme);
+        elements.themeToggle.setAttribute('aria-label', `Theme: ${themeMode}. Switch to ${next}`);
+        elements.themeToggle.title = `Theme: ${themeMode}`;
+    }
+
+    /**
+     * Cycle through light, dark and system themes, remembering the choice
+     */
+    function toggleTheme() {
+        themeMode = THEME_MODES[(THEME_MODES.indexOf(themeMode) + 1) % THEME_MODES.length];
+        writePreference('theme', themeMode);
+        applyTheme();
+    }
+
+    /**
+     * Apply the title, accent colors and fonts from `theme:` in projects.yaml
+     */
+    function applyConfigTheme() {
+        const theme = Config.getTheme();
+        const style = document.documentElement.style;
+        const setVariable = (name, value) => {
+            if (value) {
+                style.setProperty(name, value);
+            } else {
+                style.removeProperty(name);
+            }
+        };
+
+        elements.siteTitle.textContent = theme.title;
+        document.title = theme.title;
+
+        // Without a dark accent, the light one is used for both themes
+        const accentDark = theme.accentDark || theme.accent;
+        setVariable('--theme-accent', theme.accent);
+        setVariable('--theme-accent-hover', theme.accent && `color-mix(in srgb, ${theme.accent} 80%, black)`);
+        setVariable('--theme-accent-dark', accentDark);
+        setVariable('--theme-accent-dark-hover', accentDark && `color-mix(in srgb, ${accentDark} 80%, white)`);
+        setVariable('--theme-font', theme.font);
+        setVariable('--theme-heading-font', theme.headingFont);
+    }
+
+    /**
+     * Show placeholder tiles, optionally with repo discovery progress
+     * @param {Object} [progress] - { page, totalPages, loaded } from GitHubAPI
+     */
+    function showLoading(progress) {
+        elements.loading.classList.remove('hidden');
+        elements.projectGrid.classList.add('hidden');
+
+        if (!elements.skeletonGrid.hasChildNodes()) {
+            for (let i = 0; i < SKELETON_TILES; i++) {
+                elements.skeletonGrid.appendChild(createSkeletonTile());
+            }
+        }
+
+        if (!progress) {
+            elements.loadingProgress.textContent = '';
+            return;
+        }
+
+        const pages = progress.totalPages
+            ? `page ${progress.page} of ${progress.totalPages}`
+            : `page ${progress.page}`;
+        elements.loadingProgress.textContent = `Loaded ${progress.loaded} repositories (${pages})`;
+    }
+
+    /**
+     * Create a placeholder tile shown while projects load
+     * @returns {HTMLElement} Skeleton tile
+     */
+    function createSkeletonTile() {
+        const tile = document.createElement('div');
+        tile.className = 'skeleton-tile';
+
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'skeleton-thumbnail';
+
+        const content = document.createElement('div');
+        content.className = 'tile-content';
+        for (let i = 0; i < 3; i++) {
+            const line = document.createElement('div');
+            line.className = 'skeleton-line';
+            content.appendChild(line);
+        }
+
+        tile.append(thumbnail, content);
+        return tile;
+    }
+
+    /**
+     * Hide placeholder tiles
+     */
+    function hideLoading() {
+        elements.loading.classList.add('hidden');
+        elements.projectGrid.classList.remove('hidden');
+    }
+
+    /**
+     * Update header with user profile information
+     * @param {Object|null} profile - User profile data (null when only project lists are configured)
+     */
+    function updateHeader(profile) {
+        [elements.profilePic, elements.username, elements.githubLink].forEach(element => {
+            element.classList.toggle('hidden', !profile);
+        });
+
+        if (!profile) {
+            return;
+        }
+
+        elements.profilePic.src = Sanitizer.cleanUrl(profile.avatarUrl) || '';
+        elements.profilePic.alt = `${profile.username}'s profile picture`;
+        elements.username.textContent = profile.username;
+        elements.githubLink.href = Sanitizer.cleanUrl(profile.profileUrl) || '';
+    }
+
+    /**
+     * Create a tile, or a table row in the list layout, for the main grid
+     * Items open the detail view and take part in the grid's roving focus.
+     * @param {Object} project - Project data
+     * @returns {HTMLElement} Tile or row element
+     */
+    function createItem(project) {
+        const options = {
+            href: getProjectRoute(project),
+            showOwner: showOwners,
+            roving: true,
+            describedBy: 'grid-help'
+        };
+        return layout === 'list' ? Tiles.createRow(project, options) : Tiles.createTile(project, options);
+    }
+
+    /**
+     * Create items for all projects (applyFilters places them into sections)
+     * @param {Object[]} projects - Array of project objects
+     */
+    function renderProjects(projects) {
+        elements.projectGrid.innerHTML = '';
+        tiles = new Map();
+        
+        projects.forEach(project => {
+            tiles.set(project, [createItem(project)]);
+        });
+
+        updateNoResultsVisibility(projects.length);
+    }
+
+    /**
+     * Get a project's nth item, creating it the first time a project is shown that often
+     * @param {Object} project - Project data
+     * @param {number} index - 0 for the first placement, 1 for the second...
+     * @returns {HTMLElement} Tile or row element
+     */
+    function getItem(project, index) {
+        const items = tiles.get(project);
+        while (items.length <= index) {
+            items.push(createItem(project));
+        }
+        return items[index];
+    }
+
+    /**
+     * Whether a `collections:` entry refers to a project
+     * @param {string} entry - Repo name, "owner/name", or display name
+     * @param {Object} project - Project data
+     * @returns {boolean} True on a match
+     */
+    function matchesEntry(entry, project) {
+        if (entry === project.name) {
+            return true;
+        }
+        return Boolean(project.fullName) && Config.matchesRepo(entry, project);
+    }
+
+    /**
+     * Group projects into the featured row, named collections and the rest
+     * Each project appears once: in the featured row if featured, otherwise
+     * in the first collection listing it. Collections keep their listed order.
+     * @returns {{title: string|null, description: string, featured: boolean, projects: Object[]}[]} Sections in display order
+     */
+    function buildSections() {
+        const placed = new Set();
+        const sections = [];
+
+        const featured = allProjects.filter(project => project.featured);
+        featured.forEach(project => placed.add(project));
+        if (featured.length > 0) {
+            sections.push({ title: 'Featured', description: '', featured: true, projects: featured });
+        }
+
+        Config.getCollections().forEach(collection => {
+            const projects = [];
+            collection.projects.forEach(entry => {
+                const project = allProjects.find(candidate => !placed.has(candidate) && matchesEntry(entry, candidate));
+                if (project) {
+                    placed.add(project);
+                    projects.push(project);
+                }
+            });
+
+            if (projects.length > 0) {
+                sections.push({ title: collection.name, description: collection.description, featured: false, projects });
+            }
+        });
+
+        const rest = allProjects.filter(project => !placed.has(project));
+        if (rest.length > 0) {
+            // Only needs a heading when there are other sections to tell it apart from
+            sections.push({ title: sections.length > 0 ? 'More projects' : null, description: '', featured: false, projects: rest });
+        }
+
+        return sections;
+    }
+
+    /**
+     * Group projects by language, owner or tag (see `groupBy:` in projects.yaml)
+     * Largest groups come first; a project with several tags is shown under each.
+     * @returns {{title: string, key: string, description: string, featured: boolean, projects: Object[]}[]} Groups, with the ungrouped projects last
+     */
+    function buildGroups() {
+        const groups = new Map();
+        const ungrouped = [];
+
+        allProjects.forEach(project => {
+            const names = groupBy === 'tag' ? project.tags || [] : [project[groupBy]].filter(Boolean);
+            if (names.length === 0) {
+                ungrouped.push(project);
+            }
+            names.forEach(name => {
+                if (!groups.has(name)) groups.set(name, []);
+                groups.get(name).push(project);
+            });
+        });
+
+        const sections = [...groups]
+            .sort(([a, aProjects], [b, bProjects]) => bProjects.length - aProjects.length || a.localeCompare(b))
+            .map(([name, projects]) => ({ title: name, key: `${groupBy}:${name}`, description: '', featured: false, projects }));
+
+        if (ungrouped.length > 0) {
+            sections.push({ title: UNGROUPED_TITLES[groupBy], key: `${groupBy}:`, description: '', featured: false, projects: ungrouped });
+        }
+
+        return sections;
+    }
+
+    /**
+     * Create the container for a section's items: a grid of tiles, or a
+     * table with sortable column headers in the list layout
+     * @param {Object} section - Section from buildSections or buildGroups
+     * @param {HTMLElement[]} items - Tiles or rows, in display order
+     * @returns {HTMLElement} Grid or table
+     */
+    function createSectionItems(section, items) {
+        if (layout !== 'list') {
+            const grid = document.createElement('div');
+            grid.className = section.featured ? 'project-grid featured-grid' : 'project-grid';
+            grid.append(...items);
+            return grid;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'project-table';
+        const head = table.createTHead().insertRow();
+
+        Tiles.getColumns().forEach(column => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.className = `row-${column.key}`;
+
+            if (column.sort) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'column-sort';
+                button.dataset.sort = column.sort;
+                button.textContent = column.label;
+                cell.appendChild(button);
+
+                // Names sort A-Z, everything else largest or newest first
+                if (column.sort === sortMode) {
+                    cell.setAttribute('aria-sort', column.sort === 'name' ? 'ascending' : 'descending');
+                }
+            } else {
+                cell.textContent = column.label;
+            }
+
+            head.appendChild(cell);
+        });
+
+        table.createTBody().append(...items);
+        return table;
+    }
+
+    /**
+     * Place the items into titled sections; groups get a heading that collapses them
+     * @param {Object[]} sections - Sections from buildSections or buildGroups (or one untitled flat section)
+     */
+    function layoutSections(sections) {
+        const placements = new Map();
+
+        const nodes = sections.map((section, index) => {
+            const items = section.projects.map(project => {
+                const count = placements.get(project) || 0;
+                placements.set(project, count + 1);
+                return getItem(project, count);
+            });
+            const container = createSectionItems(section, items);
+
+            if (!section.title) {
+                return container;
+            }
+
+            const element = document.createElement('section');
+            element.className = 'project-section';
+            element.setAttribute('aria-labelledby', `section-title-${index}`);
+
+            const heading = document.createElement('h2');
+            heading.className = 'section-title';
+            heading.id = `section-title-${index}`;
+
+            if (section.key) {
+                const collapsed = collapsedGroups.has(section.key);
+                const toggle = document.createElement('button');
+                const count = document.createElement('span');
+
+                container.id = `section-items-${index}`;
+                container.hidden = collapsed;
+
+                toggle.type = 'button';
+                toggle.className = 'section-toggle';
+                toggle.setAttribute('aria-expanded', String(!collapsed));
+                toggle.setAttribute('aria-controls', container.id);
+                toggle.addEventListener('click', () => toggleGroup(section.key, toggle, container));
+                count.className = 'section-count';
+                toggle.append(section.title, ' ', count);
+                heading.appendChild(toggle);
+            } else {
+                heading.textContent = section.title;
+            }
+            element.appendChild(heading);
+
+            if (section.description) {
+                const description = document.createElement('p');
+                description.className = 'section-description';
+                description.textContent = section.description;
+                element.appendChild(description);
+            }
+
+            element.appendChild(container);
+            return element;
+        });
+
+        elements.projectGrid.replaceChildren(...nodes);
+    }
+
+    /**
+     * Hide sections with no visible items and show each group's visible count
+     */
+    function updateSections() {
+        elements.projectGrid.querySelectorAll('.project-section').forEach(section => {
+            const visibleCount = [...section.querySelectorAll(ITEM_SELECTOR)]
+                .filter(item => item.style.display !== 'none').length;
+            const count = section.querySelector('.section-count');
+
+            section.hidden = visibleCount === 0;
+            if (count) {
+                count.textContent = visibleCount;
+            }
+        });
+    }
+
+    /**
+     * Collapse or expand a group; remembered until the page is reloaded
+     * @param {string} key - Group key ("language:Python")
+     * @param {HTMLButtonElement} toggle - The group's heading button
+     * @param {HTMLElement} container - The group's grid or table
+     */
+    function toggleGroup(key, toggle, container) {
+        const collapsed = !collapsedGroups.has(key);
+
+        if (collapsed) {
+            collapsedGroups.add(key);
+        } else {
+            collapsedGroups.delete(key);
+        }
+
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+        container.hidden = collapsed;
+        updateRovingFocus();
+    }
+
+    /**
+     * Filter projects based on search query
+     * @param {string} query - Search query (see Search for the syntax)
+     */
+    function filterProjects(query) {
+        searchQuery = query.trim();
+        applyFilters();
+        writeUrlState();
+    }
+
+    /**
+     * Whether a project's tags satisfy the active tag filter
+     * @param {string[]} tags - Project tags
+     * @returns {boolean} True if the project should be shown
+     */
+    function matchesTags(tags) {
+        if (activeTags.size === 0) {
+            return true;
+        }
+
+        const selected = [...activeTags];
+        return tagMatchMode === 'all'
+            ? selected.every(tag => tags.includes(tag))
+            : selected.some(tag => tags.includes(tag));
+    }
+
+    /**
+     * Replace an element's text with highlighted segments
+     * @param {HTMLElement} element - Element to fill
+     * @param {string} text - Full text
+     * @param {string[]} needles - Substrings to wrap in <mark>
+     */
+    function setHighlightedText(element, text, needles) {
+        const nodes = Search.highlight(text, needles).map(segment => {
+            if (!segment.match) {
+                return document.createTextNode(segment.text);
+            }
+            const mark = document.createElement('mark');
+            mark.textContent = segment.text;
+            return mark;
+        });
+
+        element.replaceChildren(...nodes);
+    }
+
+    /**
+     * Show only items matching both the search query and the tag filter,
+     * grouped into sections or by language, owner or tag - or as one list
+     * ranked best match first while a query is active
+     */
+    function applyFilters() {
+        const candidates = allProjects.filter(project => matchesTags(project.tags || []));
+        const results = Search.search(candidates, searchQuery);
+        const visible = new Set(results.map(result => result.project));
+        const highlights = new Map(results.map(result => [result.project, result.highlights]));
+
+        if (searchQuery) {
+            // While searching, sections collapse into one list: ranked matches
+            // first, then the hidden tiles in their original order
+            layoutSections([{
+                title: null,
+                featured: false,
+                projects: [
+                    ...results.map(result => result.project),
+                    ...allProjects.filter(project => !visible.has(project))
+                ]
+            }]);
+        } else {
+            layoutSections(groupBy === 'none' ? buildSections() : buildGroups());
+        }
+
+        allProjects.forEach(project => {
+            const matched = highlights.get(project) || {};
+
+            tiles.get(project).forEach(tile => {
+                tile.style.display = visible.has(project) ? '' : 'none';
+                setHighlightedText(tile.querySelector('.tile-link'), project.name, matched.name);
+                setHighlightedText(
+                    tile.querySelector('.tile-description'),
+                    project.description || 'No description available',
+                    matched.description
+                );
+            });
+        });
+
+        updateSections();
+        updateRovingFocus();
+        updateNoResultsVisibility(results.length);
+
+        if (view === 'stats') {
+            renderStats(allProjects.filter(project => visible.has(project)));
+        }
+    }
+
+    /**
+     * Render the stats view for the projects matching the current filters
+     * @param {Object[]} projects - Visible projects
+     */
+    function renderStats(projects) {
+        Stats.render(elements.statsView, projects, {
+            staleMonths: Config.getStatsOptions().staleMonths,
+            getHref: getProjectRoute
+        });
+    }
+
+    /**
+     * Show the project grid or the stats view to match the current view
+     */
+    function updateView() {
+        const showStats = view === 'stats';
+
+        elements.hub.classList.toggle('hidden', showStats);
+        elements.statsView.classList.toggle('hidden', !showStats);
+        elements.layoutControls.classList.toggle('hidden', showStats);
+        elements.viewButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === view));
+        });
+    }
+
+    /**
+     * Handle clicks on the Projects / Stats switch
+     * @param {MouseEvent} e - Click event
+     */
+    function handleViewClick(e) {
+        view = e.currentTarget.dataset.view;
+        updateView();
+        applyFilters();
+        writeUrlState();
+    }
+
+    /**
+     * Render the tag filter chips from the loaded projects
+     */
+    function renderTagFilters() {
+        const counts = new Map();
+        allProjects.forEach(project => {
+            (project.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        // Keep tags from a shared link visible so they can be cleared
+        activeTags.forEach(tag => {
+            if (!counts.has(tag)) counts.set(tag, 0);
+        });
+
+        const container = elements.tagFilters;
+        container.innerHTML = '';
+
+        if (counts.size === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const tags = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            chip.dataset.tag = tag;
+            chip.setAttribute('aria-pressed', String(activeTags.has(tag)));
+            chip.textContent = tag;
+
+            const count = document.createElement('span');
+            count.className = 'tag-chip-count';
+            count.textContent = counts.get(tag);
+            chip.appendChild(count);
+
+            container.appendChild(chip);
+        });
+
+        const mode = document.createElement('button');
+        mode.type = 'button';
+        mode.className = 'tag-mode';
+        mode.textContent = tagMatchMode === 'all' ? 'Match all' : 'Match any';
+        mode.setAttribute('aria-label', `Tag filter matches ${tagMatchMode} selected tags. Click to switch.`);
+        mode.hidden = activeTags.size < 2;
+        container.appendChild(mode);
+
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Handle clicks on tag chips and the match mode toggle
+     * @param {MouseEvent} e - Click event
+     */
+    function handleTagFilterClick(e) {
+        const chip = e.target.closest('.tag-chip');
+        const mode = e.target.closest('.tag-mode');
+
+        if (chip) {
+            const tag = chip.dataset.tag;
+            if (activeTags.has(tag)) {
+                activeTags.delete(tag);
+            } else {
+                activeTags.add(tag);
+            }
+        } else if (mode) {
+            tagMatchMode = tagMatchMode === 'all' ? 'any' : 'all';
+        } else {
+            return;
+        }
+
+        renderTagFilters();
+        applyFilters();
+        writeUrlState();
+    }
+
+    /**
+     * Restore view, search and filter state from the query string (?view=stats&q=...&tags=cli,python&match=all)
+     */
+    function readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        searchQuery = (params.get('q') || '').trim();
+        elements.searchInput.value = searchQuery;
+        activeTags = new Set(Config.normalizeTags((params.get('tags') || '').split(',')));
+        tagMatchMode = params.get('match') === 'all' ? 'all' : 'any';
+        view = VIEWS.includes(params.get('view')) ? params.get('view') : 'projects';
+        updateView();
+    }
+
+    /**
+     * Reflect view, search and filter state in the query string so views can be shared
+     */
+    function writeUrlState() {
+        const url = new URL(window.location.href);
+
+        if (view !== 'projects') {
+            url.searchParams.set('view', view);
+        } else {
+            url.searchParams.delete('view');
+        }
+
+        if (searchQuery) {
+            url.searchParams.set('q', searchQuery);
+        } else {
+            url.searchParams.delete('q');
+        }
+
+        if (activeTags.size > 0) {
+            url.searchParams.set('tags', [...activeTags].join(','));
+        } else {
+            url.searchParams.delete('tags');
+        }
+
+        if (tagMatchMode === 'all') {
+            url.searchParams.set('match', 'all');
+        } else {
+            url.searchParams.delete('match');
+        }
+
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Give every loaded project a stable slug for its detail route
+     * Repo names are used as-is; a name shared by several owners gets the owner prefix.
+     */
+    function assignSlugs() {
+        const toSlug = text => text.toLowerCase().trim()
+            .replace(/[^\p{L}\p{N}._-]+/gu, '-')
+            .replace(/^-+|-+$/g, '') || 'project';
+        const baseSlug = project => toSlug(project.repo || project.name);
+
+        const counts = new Map();
+        allProjects.forEach(project => {
+            const slug = baseSlug(project);
+            counts.set(slug, (counts.get(slug) || 0) + 1);
+        });
+
+        slugs = new Map();
+        const used = new Set();
+
+        // Alphabetical, so any numeric suffixes don't depend on the sort mode
+        GitHubAPI.sortProjects(allProjects, 'name').forEach(project => {
+            let slug = baseSlug(project);
+            if (counts.get(slug) > 1 && project.owner) {
+                slug = `${toSlug(project.owner)}/${slug}`;
+            }
+
+            let candidate = slug;
+            for (let n = 2; used.has(candidate); n++) {
+                candidate = `${slug}-${n}`;
+            }
+
+            used.add(candidate);
+            slugs.set(project, candidate);
+        });
+    }
+
+    /**
+     * Get the hash route that opens a project's detail view
+     * @param {Object} project - Project data
+     * @returns {string} Route such as "#/project/max-focus"
+     */
+    function getProjectRoute(project) {
+        return `#/project/${encodeURI(slugs.get(project) || '')}`;
+    }
+
+    /**
+     * Read the project slug from the current hash route
+     * @returns {string|null} Slug, or null when no detail route is active
+     */
+    function getRouteSlug() {
+        const match = window.location.hash.match(/^#\/project\/(.+)$/);
+        if (!match) {
+            return null;
+        }
+
+        try {
+            return decodeURIComponent(match[1]).toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Open or close the detail view to match the hash route
+     */
+    function handleRoute() {
+        const slug = getRouteSlug();
+        const entry = slug ? [...slugs].find(([, projectSlug]) => projectSlug === slug) : null;
+
+        if (entry) {
+            openDetail(entry[0]);
+        } else {
+            closeDetail();
+        }
+    }
+
+    /**
+     * Create an external link for the detail view
+     * @param {string} href - Link target (only http(s) and relative URLs are linked)
+     * @param {string} label - Link text
+     * @param {string} className - CSS class
+     * @returns {HTMLAnchorElement} Link element
+     */
+    function createDetailLink(href, label, className) {
+        const link = document.createElement('a');
+        const url = Sanitizer.cleanUrl(href);
+        link.className = className;
+        if (url) {
+            link.href = url;
+        }
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = label;
+        return link;
+    }
+
+    /**
+     * Render a project's details into the dialog (README and release load afterwards)
+     * @param {Object} project - Project data
+     */
+    function renderDetail(project) {
+        const content = [];
+
+        if (project.owner) {
+            const owner = document.createElement('p');
+            owner.className = 'tile-owner';
+            owner.textContent = project.owner;
+            content.push(owner);
+        }
+
+        const name = document.createElement('h2');
+        name.id = 'detail-name';
+        name.className = 'detail-name';
+        name.textContent = project.name;
+
+        const description = document.createElement('p');
+        description.className = 'detail-description';
+        description.textContent = project.description || 'No description available';
+
+        content.push(name, description);
+
+        const metadata = Tiles.createMetadata(project);
+        if (metadata) {
+            content.push(metadata);
+        }
+        if (project.tags && project.tags.length > 0) {
+            const tags = Tiles.createTagList(project.tags, 'detail-tags');
+            tags.setAttribute('aria-label', 'Topics');
+            content.push(tags);
+        }
+
+        const links = document.createElement('div');
+        links.className = 'detail-links';
+        if (Sanitizer.cleanUrl(project.url) && project.url !== '#') {
+            links.appendChild(createDetailLink(project.url, 'Visit site', 'detail-link detail-link-primary'));
+        }
+        if (Sanitizer.cleanUrl(project.repoUrl)) {
+            links.appendChild(createDetailLink(project.repoUrl, 'View source', 'detail-link'));
+        }
+
+        const release = document.createElement('p');
+        release.className = 'detail-release hidden';
+
+        const readme = document.createElement('section');
+        readme.className = 'detail-readme';
+        readme.setAttribute('aria-label', 'README');
+
+        elements.detailContent.replaceChildren(...content, links, release, readme);
+    }
 
     /**
-     * Initialize DOM element references
+     * Fetch and show the README and latest release of the open project
+     * @param {Object} project - Project data
+     * @param {string} slug - Slug the detail view was opened for
      */
-    function initElements() {
-        elements = {
-            themeToggle: document.getElementById('theme-toggle'),
-            profilePic: document.getElementById('profile-pic'),
-            username: document.getElementById('username'),
-            githubLink: document.getElementById('github-link'),
-            searchInput: document.getElementById('search-input'),
-            loading: document.getElementById('loading'),
-            projectGrid: document.getElementById('project-grid'),
-            noResults: document.getElementById('no-results'),
-            backToTop: document.getElementById('back-to-top')
-        };
+    async function loadDetailExtras(project, slug) {
+        const readme = elements.detailContent.querySelector('.detail-readme');
+
+        if (!project.fullName) {
+            readme.innerHTML = '<p class="detail-readme-status">No README available</p>';
+            return;
+        }
+
+        readme.innerHTML = '<p class="detail-readme-status">Loading README…</p>';
+
+        const [readmeResult, releaseResult] = await Promise.allSettled([
+            GitHubAPI.fetchReadme(project),
+            // Already loaded for the version badge, unless badges are turned off
+            project.release || GitHubAPI.fetchLatestRelease(project)
+        ]);
+
+        // The visitor may have moved on while we were waiting
+        if (getOpenSlug() !== slug) {
+            return;
+        }
+
+        if (readmeResult.status === 'rejected') {
+            console.warn(`Could not load README for ${project.fullName}:`, readmeResult.reason.message);
+            readme.innerHTML = '<p class="detail-readme-status">The README could not be loaded</p>';
+        } else if (!readmeResult.value) {
+            readme.innerHTML = '<p class="detail-readme-status">No README available</p>';
+        } else {
+            const { html, linkBase, imageBase } = readmeResult.value;
+            readme.replaceChildren(Sanitizer.sanitizeHtml(html, { linkBase, imageBase }));
+        }
+
+        const release = releaseResult.status === 'fulfilled' ? releaseResult.value : null;
+        if (release) {
+            const element = elements.detailContent.querySelector('.detail-release');
+
+            // A tag fallback has no date
+            element.replaceChildren(
+                release.publishedAt ? 'Latest release: ' : 'Latest tag: ',
+                createDetailLink(release.url, release.name, 'detail-release-link')
+            );
+            if (release.publishedAt) {
+                const time = document.createElement('time');
+                time.dateTime = release.publishedAt;
+                time.textContent = Tiles.formatDate(release.publishedAt);
+                element.append(' · ', time);
+            }
+            if (release.download && Sanitizer.cleanUrl(release.download.url)) {
+                element.append(' · ', createDetailLink(release.download.url, `Download ${release.download.name}`, 'detail-release-link'));
+            }
+            element.classList.remove('hidden');
+        }
     }
 
     /**
-     * Initialize theme based on system preference
+     * Get the slug of the project shown in the detail view
+     * @returns {string|null} Slug, or null when the dialog is closed
      */
-    function initTheme() {
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+    function getOpenSlug() {
+        return elements.detail.open ? elements.detail.dataset.slug : null;
     }
 
     /**
-     * Toggle between light and dark theme
+     * Show the detail view for a project
+     * @param {Object} project - Project data
      */
-    function toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        document.documentElement.setAttribute('data-theme', newTheme);
+    function openDetail(project) {
+        const slug = slugs.get(project);
+
+        // A refreshed project list re-runs the route; keep the open view as it is
+        if (getOpenSlug() === slug) {
+            return;
+        }
+
+        elements.detail.dataset.slug = slug;
+        renderDetail(project);
+
+        if (!elements.detail.open) {
+            elements.detail.showModal();
+            document.body.classList.add('detail-open');
+        }
+
+        elements.detail.scrollTop = 0;
+        loadDetailExtras(project, slug);
     }
 
     /**
-     * Show loading spinner
+     * Hide the detail view (without touching history)
      */
-    function showLoading() {
-        elements.loading.classList.remove('hidden');
-        elements.projectGrid.classList.add('hidden');
+    function closeDetail() {
+        if (!elements.detail.open) {
+            return;
+        }
+
+        elements.detail.close();
+        document.body.classList.remove('detail-open');
     }
 
     /**
-     * Hide loading spinner
+     * Close the detail view at the visitor's request (close button, Escape, backdrop)
+     * Goes back when the view was opened by navigating, so Back doesn't reopen it;
+     * otherwise (a shared deep link) just drops the route.
      */
-    function hideLoading() {
-        elements.loading.classList.add('hidden');
-        elements.projectGrid.classList.remove('hidden');
+    function dismissDetail() {
+        if (detailPushed) {
+            window.history.back();
+            return;
+        }
+
+        const url = new URL(window.location.href);
+        url.hash = '';
+        window.history.replaceState(null, '', url);
+        handleRoute();
     }
 
     /**
-     * Update header with user profile information
-     * @param {Object} profile - User profile data
+     * Handle clicks inside the detail dialog
+     * @param {MouseEvent} e - Click event
      */
-    function updateHeader(profile) {
-        elements.profilePic.src = profile.avatarUrl;
-        elements.profilePic.alt = `${profile.username}'s profile picture`;
-        elements.username.textContent = profile.username;
-        elements.githubLink.href = profile.profileUrl;
+    function handleDetailClick(e) {
+        // Clicks on the backdrop land on the dialog element itself
+        if (e.target === elements.detail) {
+            dismissDetail();
+            return;
+        }
+
+        // README anchors would replace the route; scroll to the heading instead
+        const anchor = e.target.closest('.detail-readme a[href^="#"]');
+        if (anchor) {
+            e.preventDefault();
+            const id = decodeURIComponent(anchor.getAttribute('href').slice(1));
+            const target = document.getElementById(`user-content-${id}`) || document.getElementById(id);
+            if (target && elements.detail.contains(target)) {
+                target.scrollIntoView();
+            }
+        }
     }
 
     /**
-     * Create the generic placeholder SVG icon
-     * @returns {string} SVG markup
+     * Show/hide no results message and announce the result count to screen readers
+     * @param {number} visibleCount - Number of visible projects
      */
-    function getPlaceholderIcon() {
-        return `
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
-                <polyline points="16 18 22 12 16 6"></polyline>
-                <polyline points="8 6 2 12 8 18"></polyline>
-            </svg>
-        `;
+    function updateNoResultsVisibility(visibleCount) {
+        const total = allProjects.length;
+
+        if (visibleCount === 0) {
+            elements.noResults.classList.add('visible');
+            elements.resultsStatus.textContent = 'No projects found';
+        } else {
+            elements.noResults.classList.remove('visible');
+            elements.resultsStatus.textContent = visibleCount === total
+                ? `${total} project${total === 1 ? '' : 's'}`
+                : `Showing ${visibleCount} of ${total} projects`;
+        }
     }
 
     /**
-     * Create GitHub icon SVG
-     * @returns {string} SVG markup
+     * Get the tiles (or rows) currently shown in the grid, in display order
+     * Items in collapsed groups are left out.
+     * @returns {HTMLElement[]} Visible tile elements
      */
-    function getGitHubIcon() {
-        return `
-            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
-            </svg>
-        `;
+    function getVisibleTiles() {
+        return [...elements.projectGrid.querySelectorAll(ITEM_SELECTOR)]
+            .filter(tile => tile.style.display !== 'none' && !tile.closest('[hidden]'));
     }
 
     /**
-     * Create a project tile element
-     * @param {Object} project - Project data
-     * @returns {HTMLElement} Tile element
-     */
-    function createTile(project) {
-        const tile = document.createElement('a');
-        tile.className = 'project-tile';
-        tile.href = project.url || '#';
-        tile.target = '_blank';
-        tile.rel = 'noopener noreferrer';
-        tile.dataset.name = project.name.toLowerCase();
-        tile.dataset.description = (project.description || '').toLowerCase();
-
-        // Thumbnail or placeholder
-        let thumbnailHtml;
-        if (project.thumbnail) {
-            thumbnailHtml = `<img class="tile-thumbnail" src="${project.thumbnail}" alt="${project.name} thumbnail" loading="lazy">`;
-        } else {
-            thumbnailHtml = `<div class="tile-placeholder">${getPlaceholderIcon()}</div>`;
-        }
-
-        // GitHub repo link (if available)
-        let repoLinkHtml = '';
-        if (project.repoUrl) {
-            repoLinkHtml = `
-                <a href="${project.repoUrl}" 
-                   target="_blank" 
-                   rel="noopener noreferrer" 
-                   class="tile-repo-link"
-                   aria-label="View source on GitHub"
-                   onclick="event.stopPropagation();">
-                    ${getGitHubIcon()}
-                </a>
-            `;
-        }
-
-        tile.innerHTML = `
-            ${thumbnailHtml}
-            <div class="tile-content">
-                <div class="tile-header">
-                    <h3 class="tile-name">${escapeHtml(project.name)}</h3>
-                    ${repoLinkHtml}
-                </div>
-                <p class="tile-description">${escapeHtml(project.description || 'No description available')}</p>
-            </div>
-        `;
+     * Make one visible tile the grid's single tab stop (roving tabindex)
+     * @param {HTMLElement} [active] - Tile to make current; defaults to the current one if still visible
+     */
+    function updateRovingFocus(active) {
+        const visibleTiles = getVisibleTiles();
+        const current = active ||
+            visibleTiles.find(tile => tile.querySelector('.tile-link').getAttribute('tabindex') === '0') ||
+            visibleTiles[0];
 
-        return tile;
+        tiles.forEach(items => items.forEach(tile => {
+            tile.querySelector('.tile-link').setAttribute('tabindex', tile === current ? '0' : '-1');
+        }));
     }
 
     /**
-     * Escape HTML entities to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Find the project a tile element belongs to
+     * @param {HTMLElement} tile - Tile element
+     * @returns {Object|null} Project data
      */
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    function getTileProject(tile) {
+        const entry = [...tiles].find(([, items]) => items.includes(tile));
+        return entry ? entry[0] : null;
     }
 
     /**
-     * Render all project tiles
-     * @param {Object[]} projects - Array of project objects
+     * Open a URL in a new tab without giving it access to this page
+     * Like the tile links, only http(s) and relative URLs are opened.
+     * @param {string} url - URL to open
      */
-    function renderProjects(projects) {
-        elements.projectGrid.innerHTML = '';
-        
-        projects.forEach(project => {
-            const tile = createTile(project);
-            elements.projectGrid.appendChild(tile);
-        });
+    function openInNewTab(url) {
+        const safe = Sanitizer.cleanUrl(url);
+        if (safe) {
+            window.open(safe, '_blank', 'noopener,noreferrer');
+        }
+    }
 
-        updateNoResultsVisibility(projects.length);
+    /**
+     * Find the tile in the nearest row above or below, closest in column
+     * Works from the rendered layout, so it follows sections and grids of any width.
+     * @param {HTMLElement} tile - Current tile
+     * @param {HTMLElement[]} visibleTiles - Visible tiles
+     * @param {number} direction - 1 for down, -1 for up
+     * @returns {HTMLElement|null} Tile to move to, if any
+     */
+    function findTileInRow(tile, visibleTiles, direction) {
+        const from = tile.getBoundingClientRect();
+        const candidates = visibleTiles
+            .map(other => ({ tile: other, rect: other.getBoundingClientRect() }))
+            .filter(({ rect }) => (direction > 0 ? rect.top >= from.bottom : rect.bottom <= from.top));
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const rowDistance = rect => Math.abs(rect.top - from.top);
+        const nearestRow = Math.min(...candidates.map(({ rect }) => rowDistance(rect)));
+
+        return candidates
+            .filter(({ rect }) => rowDistance(rect) === nearestRow)
+            .sort((a, b) => Math.abs(a.rect.left - from.left) - Math.abs(b.rect.left - from.left))[0]
+            .tile;
     }
 
     /**
-     * Filter projects based on search query
-     * @param {string} query - Search query
+     * Handle keyboard navigation within the grid
+     * Arrows/Home/End move between tiles, Enter opens the site,
+     * Shift+Enter the repo, and Space the detail view.
+     * @param {KeyboardEvent} e - Keydown event
      */
-    function filterProjects(query) {
-        const normalizedQuery = query.toLowerCase().trim();
-        const tiles = elements.projectGrid.querySelectorAll('.project-tile');
-        let visibleCount = 0;
-
-        tiles.forEach(tile => {
-            const name = tile.dataset.name;
-            const description = tile.dataset.description;
-            const matches = name.includes(normalizedQuery) || description.includes(normalizedQuery);
-            
-            tile.style.display = matches ? '' : 'none';
-            if (matches) visibleCount++;
-        });
+    function handleGridKeydown(e) {
+        const link = e.target.closest('.tile-link');
+        if (!link || e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+
+        const tile = link.closest(ITEM_SELECTOR);
+        const visibleTiles = getVisibleTiles();
+        const index = visibleTiles.indexOf(tile);
 
-        updateNoResultsVisibility(visibleCount);
+        const moves = {
+            ArrowRight: () => visibleTiles[index + 1],
+            ArrowLeft: () => visibleTiles[index - 1],
+            ArrowDown: () => findTileInRow(tile, visibleTiles, 1),
+            ArrowUp: () => findTileInRow(tile, visibleTiles, -1),
+            Home: () => visibleTiles[0],
+            End: () => visibleTiles[visibleTiles.length - 1]
+        };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            const next = moves[e.key]();
+            if (next) {
+                updateRovingFocus(next);
+                next.querySelector('.tile-link').focus();
+            }
+            return;
+        }
+
+        const project = getTileProject(tile);
+
+        if (e.key === 'Enter' && project) {
+            e.preventDefault();
+            const isOffline = project.status === 'offline';
+
+            if (e.shiftKey) {
+                if (project.repoUrl) openInNewTab(project.repoUrl);
+            } else if (project.url && project.url !== '#') {
+                // Send visitors to the source rather than a broken deployment
+                openInNewTab((isOffline && project.repoUrl) || project.url);
+            }
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            link.click();
+        }
     }
 
     /**
-     * Show/hide no results message
-     * @param {number} visibleCount - Number of visible projects
+     * Focus the search box when "/" is pressed outside a text field
+     * @param {KeyboardEvent} e - Keydown event
      */
-    function updateNoResultsVisibility(visibleCount) {
-        if (visibleCount === 0) {
-            elements.noResults.classList.add('visible');
-        } else {
-            elements.noResults.classList.remove('visible');
+    function handleGlobalKeydown(e) {
+        if (e.key !== '/' || e.altKey || e.ctrlKey || e.metaKey || elements.detail.open) {
+            return;
+        }
+
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) {
+            return;
         }
+
+        e.preventDefault();
+        elements.searchInput.focus();
+        elements.searchInput.select();
     }
 
     /**
@@ -224,9 +1337,10 @@ const App = (function() {
      * Scroll to top of page
      */
     function scrollToTop() {
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         window.scrollTo({
             top: 0,
-            behavior: 'smooth'
+            behavior: reduceMotion ? 'auto' : 'smooth'
         });
     }
 
@@ -242,49 +1356,420 @@ const App = (function() {
             filterProjects(e.target.value);
         });
 
+        // Sort dropdown
+        elements.sortSelect.addEventListener('change', handleSortChange);
+
+        // Tag filter chips
+        elements.tagFilters.addEventListener('click', handleTagFilterClick);
+
+        // Projects / Stats view switch
+        elements.viewButtons.forEach(button => button.addEventListener('click', handleViewClick));
+
+        // Cards / List / Compact layout and grouping
+        elements.layoutButtons.forEach(button => button.addEventListener('click', handleLayoutClick));
+        elements.groupSelect.addEventListener('change', handleGroupChange);
+
+        // Keyboard: "/" focuses search, arrows move through the grid
+        document.addEventListener('keydown', handleGlobalKeydown);
+        elements.projectGrid.addEventListener('keydown', handleGridKeydown);
+        elements.projectGrid.addEventListener('focusin', (e) => {
+            const tile = e.target.closest(ITEM_SELECTOR);
+            if (tile) updateRovingFocus(tile);
+        });
+
+        // List layout: column headers sort the projects
+        elements.projectGrid.addEventListener('click', handleColumnClick);
+
         // Back to top button
         elements.backToTop.addEventListener('click', scrollToTop);
 
         // Scroll listener for back-to-top visibility
         window.addEventListener('scroll', handleScroll, { passive: true });
+
+        // Detail view routing - tiles link to #/project/<slug>
+        window.addEventListener('hashchange', () => {
+            detailPushed = getRouteSlug() !== null;
+            handleRoute();
+        });
+
+        // Detail dialog: close button, Escape and backdrop
+        elements.detailClose.addEventListener('click', dismissDetail);
+        elements.detail.addEventListener('cancel', (e) => {
+            e.preventDefault();
+            dismissDetail();
+        });
+        elements.detail.addEventListener('click', handleDetailClick);
+
+        // Load state: retry button, and an automatic retry once back online
+        elements.loadStateRetry.addEventListener('click', handleRetry);
+        window.addEventListener('online', () => {
+            if (elements.loadState.dataset.kind === 'offline') {
+                loadProjects();
+            }
+        });
     }
 
     /**
-     * Main initialization function
+     * Whether the page is being served for development
+     * (localhost, a file:// URL, or ?debug in the query string)
+     * @returns {boolean} True in dev mode
      */
-    async function init() {
-        initElements();
-        initTheme();
-        initEventListeners();
-        showLoading();
+    function isDevMode() {
+        const host = window.location.hostname;
+        return host === 'localhost' || host === '127.0.0.1' || host === '' ||
+            new URLSearchParams(window.location.search).has('debug');
+    }
+
+    /**
+     * Show config diagnostics in a banner (dev mode only)
+     */
+    function renderDiagnostics() {
+        const diagnostics = Config.getDiagnostics();
+        const banner = elements.diagnostics;
+
+        banner.innerHTML = '';
+
+        if (!isDevMode() || diagnostics.length === 0) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const hasErrors = diagnostics.some(diagnostic => diagnostic.level === 'error');
+        banner.classList.toggle('has-errors', hasErrors);
+
+        const heading = document.createElement('h2');
+        heading.className = 'diagnostics-title';
+        heading.textContent = `projects.yaml has ${diagnostics.length} problem${diagnostics.length === 1 ? '' : 's'}`;
+
+        const list = document.createElement('ul');
+        list.className = 'diagnostics-list';
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `diagnostic diagnostic-${diagnostic.level}`;
+            item.textContent = ConfigSchema.format(diagnostic);
+            list.appendChild(item);
+        });
+
+        banner.append(heading, list);
+        banner.classList.remove('hidden');
+    }
+
+    /**
+     * Classify a failed load for the load state banner
+     * @param {Error} error - Error from Config.load or GitHubAPI
+     * @param {boolean} hasFallback - Whether cached or manual projects are shown instead
+     * @returns {string} 'offline', 'config', 'rate-limited', 'partial' or 'error'
+     */
+    function getErrorKind(error, hasFallback) {
+        // Only requests that got no response are tagged `network` (see Providers.request)
+        if (navigator.onLine === false || error.network) {
+            return 'offline';
+        }
+        if (error.diagnostics) {
+            return 'config';
+        }
+        if (error.rateLimited) {
+            return 'rate-limited';
+        }
+        return hasFallback ? 'partial' : 'error';
+    }
+
+    /**
+     * Describe what is shown in place of the live project list
+     * @param {Object|null} cached - Snapshot being shown, if any
+     * @returns {string} Sentence for the load state message
+     */
+    function describeFallback(cached) {
+        if (cached) {
+            return cached.savedAt
+                ? `Showing projects saved ${Tiles.formatDate(cached.savedAt)}.`
+                : 'Showing previously saved projects.';
+        }
+        return allProjects.length > 0
+            ? 'Showing only the projects listed in projects.yaml.'
+            : 'No projects could be shown.';
+    }
+
+    /**
+     * Show the load state banner above the grid
+     * @param {string} kind - Result of getErrorKind(), or 'partial' for failed sources
+     * @param {Object} details
+     * @param {Error} [details.error] - Error that stopped the load
+     * @param {Object|null} [details.cached] - Snapshot shown instead of live data
+     * @param {{source: string, error: Error}[]} [details.failures] - Sources that could not be loaded
+     */
+    function showLoadState(kind, { error, cached = null, failures = [] }) {
+        const fallback = describeFallback(cached);
+        let title;
+        let message;
+
+        if (kind === 'rate-limited') {
+            title = 'GitHub API rate limit reached';
+            message = error.resetAt
+                ? `The limit resets at ${error.resetAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.`
+                : 'Try again in a few minutes.';
+            message += ` ${fallback}`;
+        } else if (kind === 'offline') {
+            title = 'You appear to be offline';
+            message = `Projects will reload when the connection is back. ${fallback}`;
+        } else if (kind === 'config') {
+            const diagnostic = error.diagnostics.find(item => item.level === 'error');
+            title = 'projects.yaml could not be loaded';
+            message = diagnostic ? ConfigSchema.format(diagnostic) : error.message;
+        } else if (kind === 'partial' && failures.length > 0) {
+            title = 'Some projects could not be loaded';
+            message = failures.map(failure => `${failure.source}: ${failure.error.message}`).join('\n');
+        } else if (kind === 'partial') {
+            title = 'Live project data is unavailable';
+            message = `The live project list could not be loaded (${error.message}). ${fallback}`;
+        } else {
+            title = 'Unable to load projects';
+            message = error.message;
+        }
+
+        elements.loadState.className = `load-state load-state-${kind}`;
+        elements.loadState.dataset.kind = kind;
+        elements.loadStateTitle.textContent = title;
+        elements.loadStateMessage.textContent = message;
+        elements.loadStateRetry.disabled = false;
+
+        // The banner already explains an empty grid
+        if (allProjects.length === 0) {
+            elements.noResults.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Hide the load state banner
+     */
+    function hideLoadState() {
+        elements.loadState.classList.add('hidden');
+        delete elements.loadState.dataset.kind;
+    }
+
+    /**
+     * Check deployed sites (if enabled in projects.yaml) and re-render offline tiles
+     */
+    async function runHealthCheck() {
+        if (!Config.getPagesOptions().healthCheck || allProjects.length === 0) {
+            return;
+        }
+
+        const offline = await GitHubAPI.checkHealth(allProjects);
+
+        offline.forEach(project => {
+            const items = tiles.get(project);
+            if (!items) return;
+
+            tiles.set(project, items.map(item => {
+                const fresh = createItem(project);
+                item.replaceWith(fresh);
+                return fresh;
+            }));
+        });
+
+        if (offline.length > 0) {
+            applyFilters();
+        }
+    }
+
+    /**
+     * Look up version badges after the projects are on screen and swap them into their tiles
+     * Lookups are cached (see GitHubAPI.addReleases), so most visits make no requests here.
+     */
+    async function loadReleases() {
+        if (!Config.getReleaseOptions().enabled || allProjects.length === 0) {
+            return;
+        }
+
+        const projects = allProjects;
+        const updated = await GitHubAPI.addReleases(projects);
+        let changed = false;
+
+        updated.forEach((fresh, index) => {
+            const project = projects[index];
+            const items = tiles.get(project);
+            if (!items || !fresh.release || (project.release && project.release.tag === fresh.release.tag)) return;
+
+            project.release = fresh.release;
+            changed = true;
+
+            tiles.set(project, items.map(item => {
+                const replacement = createItem(project);
+                item.replaceWith(replacement);
+                return replacement;
+            }));
+        });
+
+        if (changed) {
+            applyFilters();
+        }
+    }
+
+    /**
+     * Look up og:images for projects without a thumbnail and swap them into their tiles
+     */
+    async function resolveThumbnails() {
+        if (!Config.getThumbnailOptions().siteImages) {
+            return;
+        }
+
+        const missing = allProjects.filter(project => !project.thumbnail);
+
+        await Promise.all(missing.map(async project => {
+            const image = await Thumbnails.resolveSiteImage(project);
+            const items = tiles.get(project);
+            if (!image || !items) return;
+
+            project.thumbnail = image;
+
+            // List rows have no thumbnail; they pick it up if the layout changes
+            items.forEach(item => {
+                const current = item.querySelector('.tile-thumbnail, .tile-placeholder');
+                if (current) {
+                    current.replaceWith(createItem(project).querySelector('.tile-thumbnail'));
+                }
+            });
+        }));
+    }
+
+    /**
+     * Store and render a loaded project set
+     * @param {{projects: Object[], profile: Object}} data - Projects and profile
+     */
+    function showProjects({ projects, profile }) {
+        allProjects = GitHubAPI.sortProjects(projects, sortMode);
+        // Badge tiles with their owner once more than one account is aggregated
+        showOwners = new Set(allProjects.map(project => project.owner).filter(Boolean)).size > 1;
+        assignSlugs();
+        updateHeader(profile);
+        renderTagFilters();
+        renderProjects(allProjects);
+
+        // Keep any search or tag filter active while data was loading
+        applyFilters();
+
+        // Open the detail view for a deep link like #/project/max-focus
+        handleRoute();
+    }
+
+    /**
+     * Load the config and projects, falling back to cached or manual projects
+     * Runs on start-up and again from the load state's retry button.
+     */
+    async function loadProjects() {
+        hideLoadState();
+        if (allProjects.length === 0) {
+            showLoading();
+        }
+
+        let cached = null;
 
         try {
             // Load configuration first
             await Config.load();
+            initSort();
+            initLayout();
+            applyConfigTheme();
+
+            // Render the newest snapshot we have (build-time file or local cache) immediately
+            const staticProjects = await GitHubAPI.getStaticProjects();
+            const localProjects = GitHubAPI.mergeSnapshot(GitHubAPI.getCachedProjects(), staticProjects);
+            cached = [staticProjects, localProjects]
+                .filter(Boolean)
+                .sort((a, b) => b.savedAt - a.savedAt)[0] || null;
+
+            if (cached) {
+                showProjects(cached);
+                hideLoading();
+
+                if (!Config.getLiveRefresh()) {
+                    return;
+                }
+            }
 
             // Fetch projects from GitHub API
-            const { projects, profile } = await GitHubAPI.getProjects();
-            
-            allProjects = projects;
-            updateHeader(profile);
-            renderProjects(projects);
+            const live = await GitHubAPI.getProjects(cached ? null : showLoading);
+            showProjects(GitHubAPI.mergeSnapshot(live, staticProjects));
+
+            if (live.failures.length > 0) {
+                showLoadState('partial', { failures: live.failures });
+            }
         } catch (error) {
+            if (cached) {
+                console.warn('Failed to refresh from GitHub API, keeping cached projects:', error.message);
+                showLoadState(getErrorKind(error, true), { error, cached });
+                return;
+            }
+
+            // Without a usable config there are no manual projects to fall back to
+            if (error.diagnostics) {
+                console.error('Failed to load projects.yaml:', error.message);
+                showLoadState(getErrorKind(error, false), { error });
+                return;
+            }
+
             console.warn('Failed to fetch from GitHub API, falling back to manual projects:', error.message);
-            
+
             try {
                 // Fallback to manual projects only
-                const { projects, profile } = await GitHubAPI.getManualProjectsOnly();
-                
-                allProjects = projects;
-                updateHeader(profile);
-                renderProjects(projects);
+                showProjects(await GitHubAPI.getManualProjectsOnly());
+                showLoadState(getErrorKind(error, allProjects.length > 0), { error });
             } catch (fallbackError) {
                 console.error('Failed to load any projects:', fallbackError);
-                elements.projectGrid.innerHTML = '<p style="text-align: center; color: var(--color-text-secondary);">Unable to load projects</p>';
+                showLoadState(getErrorKind(error, false), { error });
             }
         } finally {
+            // Also covers a config that failed to load (default title)
+            applyConfigTheme();
             hideLoading();
+            renderDiagnostics();
+            runHealthCheck();
+            resolveThumbnails();
+            loadReleases();
+        }
+    }
+
+    /**
+     * Retry a failed load from the load state banner
+     */
+    function handleRetry() {
+        elements.loadStateRetry.disabled = true;
+        loadProjects();
+    }
+
+    /**
+     * Register the service worker (sw.js) that lets the hub open offline
+     * Waits for the page to finish loading so precaching doesn't compete with it.
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            return;
         }
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error.message);
+            });
+        });
+    }
+
+    /**
+     * Main initialization function
+     */
+    function init() {
+        initElements();
+
+        // aria-describedby can't reach across the shadow boundary, so the
+        // keyboard help moves in next to the tiles it describes
+        elements.hub.shadowRoot.appendChild(document.getElementById('grid-help'));
+
+        readUrlState();
+        initTheme();
+        initEventListeners();
+        registerServiceWorker();
+
+        return loadProjects();
     }
 
     // Start the app when DOM is ready
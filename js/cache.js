@@ -0,0 +1,166 @@
+/**
+ * Response cache for Project Hub
+ * Persists GitHub API responses (with ETags) and the last good
+ * project snapshot in localStorage
+ */
+
+const ApiCache = (function() {
+    const PREFIX = 'project-hub:';
+    const VERSION = 1;
+
+    /**
+     * Gets the localStorage object if it is usable
+     * @returns {Storage|null} localStorage, or null when unavailable
+     */
+    function getStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            // Access can throw when storage is disabled (e.g. privacy mode)
+            return null;
+        }
+    }
+
+    /**
+     * Reads and parses a cache entry
+     * @param {string} key - Cache key (without prefix)
+     * @returns {Object|null} Stored value, or null if missing or stale
+     */
+    function read(key) {
+        const storage = getStorage();
+        if (!storage) {
+            return null;
+        }
+
+        try {
+            const entry = JSON.parse(storage.getItem(PREFIX + key));
+            return entry && entry.version === VERSION ? entry.value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Serializes and stores a cache entry, clearing old entries if storage is full
+     * @param {string} key - Cache key (without prefix)
+     * @param {Object} value - Value to store
+     */
+    function write(key, value) {
+        const storage = getStorage();
+        if (!storage) {
+            return;
+        }
+
+        const serialized = JSON.stringify({ version: VERSION, value });
+
+        try {
+            storage.setItem(PREFIX + key, serialized);
+        } catch (error) {
+            // Most likely over quota - drop our entries and try once more
+            clear();
+            try {
+                storage.setItem(PREFIX + key, serialized);
+            } catch (retryError) {
+                console.warn('Could not write to cache:', retryError.message);
+            }
+        }
+    }
+
+    /**
+     * Removes all Project Hub entries from storage
+     */
+    function clear() {
+        const storage = getStorage();
+        if (!storage) {
+            return;
+        }
+
+        Object.keys(storage)
+            .filter(key => key.startsWith(PREFIX))
+            .forEach(key => storage.removeItem(key));
+    }
+
+    /**
+     * Gets a cached API response
+     * @param {string} url - Request URL
+     * @returns {{etag: string, link: string|null, data: *}|null} Cached response
+     */
+    function getResponse(url) {
+        return read(`response:${url}`);
+    }
+
+    /**
+     * Stores an API response for later revalidation
+     * @param {string} url - Request URL
+     * @param {{etag: string, link: string|null, data: *}} response - Response to cache
+     */
+    function setResponse(url, response) {
+        write(`response:${url}`, response);
+    }
+
+    /**
+     * Gets the last good snapshot of discovered repos
+     * @param {string} key - Snapshot key (identifies the configured sources)
+     * @returns {{repos: Object[], profile: Object, savedAt: number}|null} Snapshot
+     */
+    function getSnapshot(key) {
+        return read(`snapshot:${key}`);
+    }
+
+    /**
+     * Stores a snapshot of discovered repos
+     * @param {string} key - Snapshot key (identifies the configured sources)
+     * @param {{repos: Object[], profile: Object}} snapshot - Raw API data
+     */
+    function setSnapshot(key, snapshot) {
+        write(`snapshot:${key}`, { ...snapshot, savedAt: Date.now() });
+    }
+
+    /**
+     * Gets the cached og:image lookup for a site
+     * @param {string} siteUrl - Deployed site URL
+     * @returns {{image: string|null, checkedAt: number}|null} Lookup result
+     */
+    function getThumbnail(siteUrl) {
+        return read(`thumbnail:${siteUrl}`);
+    }
+
+    /**
+     * Stores the og:image lookup for a site (including "none found")
+     * @param {string} siteUrl - Deployed site URL
+     * @param {{image: string|null, checkedAt: number}} result - Lookup result
+     */
+    function setThumbnail(siteUrl, result) {
+        write(`thumbnail:${siteUrl}`, result);
+    }
+
+    /**
+     * Gets the cached latest-release lookup for a repo
+     * @param {string} key - Release key ("github:octocat/app")
+     * @returns {{release: Object|null, checkedAt: number}|null} Lookup result
+     */
+    function getRelease(key) {
+        return read(`release:${key}`);
+    }
+
+    /**
+     * Stores the latest-release lookup for a repo (including "none found")
+     * @param {string} key - Release key ("github:octocat/app")
+     * @param {{release: Object|null, checkedAt: number}} result - Lookup result
+     */
+    function setRelease(key, result) {
+        write(`release:${key}`, result);
+    }
+
+    return {
+        getResponse,
+        setResponse,
+        getSnapshot,
+        setSnapshot,
+        getThumbnail,
+        setThumbnail,
+        getRelease,
+        setRelease,
+        clear
+    };
+})();
@@ -4,46 +4,297 @@
  */
 
 const Config = (function() {
+    const CONFIG_FILE = 'projects.yaml';
+
+    // GitHub Pages lookups, both off by default as they cost a request per repo
+    const PAGES_DEFAULTS = {
+        lookup: false,
+        healthCheck: false
+    };
+
+    // Fallbacks for projects without a configured thumbnail. Site images are
+    // off since every visitor would fetch every site's HTML to find them
+    const THUMBNAIL_DEFAULTS = {
+        siteImages: false,
+        generate: true
+    };
+
+    // Tile metadata fields shown unless turned off under `display:`
+    const DISPLAY_DEFAULTS = {
+        language: true,
+        stars: true,
+        forks: true,
+        issues: true,
+        license: true,
+        updated: true,
+        archived: true,
+        release: true
+    };
+
+    // Look and title, applied over the stylesheet defaults
+    const THEME_DEFAULTS = {
+        title: 'Project Hub',
+        accent: null,
+        accentDark: null,
+        font: null,
+        headingFont: null
+    };
+
+    // Stats view: projects without a push for this long count as stale
+    const STATS_DEFAULTS = {
+        staleMonths: 12
+    };
+
+    // Version badges: latest release, else newest tag; `asset` pins the Download link
+    // Off by default like the Pages lookups, as it costs one or two requests per repo
+    const RELEASES_DEFAULTS = {
+        enabled: false,
+        tags: true,
+        asset: null
+    };
+
+    // feed.xml / feed.json output of the build step
+    const FEED_DEFAULTS = {
+        siteUrl: null,
+        releases: true,
+        pushes: true,
+        limit: 50
+    };
+
     let config = null;
+    let raw = null;
+    let source = '';
+    let diagnostics = [];
+
+    /**
+     * Records a diagnostic and logs it to the console
+     * @param {Object} diagnostic - { level, message, path?, line? }
+     */
+    function report(diagnostic) {
+        diagnostics.push(diagnostic);
+        const log = diagnostic.level === 'error' ? console.error : console.warn;
+        log(ConfigSchema.format(diagnostic));
+    }
 
     /**
-     * Fetches and parses the projects.yaml configuration file
+     * Creates the error thrown when the config cannot be used at all
+     * @param {string} message - Error message
+     * @returns {Error} Error carrying the collected diagnostics
+     */
+    function createConfigError(message) {
+        const error = new Error(message);
+        error.diagnostics = diagnostics;
+        return error;
+    }
+
+    /**
+     * Fetches, parses and validates the projects.yaml configuration file
+     * Invalid fields are reported and dropped; problems that leave nothing
+     * usable (missing file, YAML syntax errors, no username) throw.
+     * @param {string} [url] - Config file location (defaults to projects.yaml next to the page)
      * @returns {Promise<Object>} Parsed configuration object
      */
-    async function load() {
+    async function load(url = CONFIG_FILE) {
         if (config) {
             return config;
         }
 
+        diagnostics = [];
+
+        let response;
         try {
-            const response = await fetch('projects.yaml');
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load config: ${response.status}`);
-            }
-
-            const yamlText = await response.text();
-            config = jsyaml.load(yamlText) || {};
-
-            // Normalize config with defaults
-            config = {
-                username: config.username || '',
-                exclude: config.exclude || [],
-                order: config.order || [],
-                projects: (config.projects || []).map(normalizeProject)
-            };
+            response = await fetch(url);
+        } catch (error) {
+            report({ level: 'error', message: `could not be fetched: ${error.message}` });
+            const configError = createConfigError(`Failed to load config: ${error.message}`);
+            configError.network = true;
+            throw configError;
+        }
 
-            return config;
+        if (!response.ok) {
+            report({ level: 'error', message: `could not be loaded (HTTP ${response.status})` });
+            throw createConfigError(`Failed to load config: ${response.status}`);
+        }
+
+        source = await response.text();
+
+        try {
+            raw = jsyaml.load(source);
         } catch (error) {
-            console.warn('Could not load projects.yaml, using defaults:', error.message);
-            config = {
-                username: 'darrenmcewan',
-                exclude: [],
-                order: [],
-                projects: []
-            };
+            report({
+                level: 'error',
+                message: `invalid YAML: ${error.reason || error.message}`,
+                line: error.mark ? error.mark.line + 1 : null
+            });
+            throw createConfigError(`Invalid config: ${error.reason || error.message}`);
+        }
+
+        return apply();
+    }
+
+    /**
+     * Uses an in-memory config instead of a projects.yaml file
+     * (e.g. `{ username }` from a <project-hub> attribute)
+     * @param {Object} value - Config with the same shape as projects.yaml
+     * @returns {Object} Parsed configuration object
+     */
+    function use(value) {
+        if (config) {
             return config;
         }
+
+        diagnostics = [];
+        raw = value;
+        source = '';
+        return apply();
+    }
+
+    /**
+     * Gets the loaded config so it can be set aside and restored later
+     * Config is one module per page; <project-hub> widgets each keep their own
+     * state and swap it in while they use the other modules.
+     * @returns {Object} Opaque config state
+     */
+    function getState() {
+        return { config, raw, source, diagnostics };
+    }
+
+    /**
+     * Restores a config saved with getState(), or clears it so load() reads a fresh one
+     * @param {Object|null} state - State from getState(), or null to clear
+     */
+    function setState(state) {
+        ({ config, raw, source, diagnostics } = state || { config: null, raw: null, source: '', diagnostics: [] });
+    }
+
+    /**
+     * Validates the parsed config and normalizes it with defaults
+     * @returns {Object} Parsed configuration object
+     */
+    function apply() {
+        const result = ConfigSchema.validate(raw, source);
+        result.diagnostics.forEach(report);
+
+        if (result.diagnostics.some(diagnostic => diagnostic.fatal)) {
+            throw createConfigError('Invalid config: see diagnostics');
+        }
+
+        const value = result.value;
+
+        // A bare `username` is shorthand for a single GitHub user source
+        const sources = value.sources
+            ? value.sources.map(normalizeSource)
+            : [normalizeSource({ user: value.username })];
+
+        // Normalize config with defaults
+        config = {
+            // A project list has no account, so the header shows the first named source
+            username: value.username || sources.map(source => source.name).find(Boolean) || '',
+            sources,
+            exclude: value.exclude || [],
+            order: value.order || [],
+            liveRefresh: value.liveRefresh !== false,
+            sort: value.sort || 'config',
+            layout: value.layout || 'cards',
+            groupBy: value.groupBy || 'none',
+            pages: { ...PAGES_DEFAULTS, ...value.pages },
+            thumbnails: { ...THUMBNAIL_DEFAULTS, ...value.thumbnails },
+            display: { ...DISPLAY_DEFAULTS, ...value.display },
+            theme: { ...THEME_DEFAULTS, ...value.theme },
+            stats: { ...STATS_DEFAULTS, ...value.stats },
+            releases: { ...RELEASES_DEFAULTS, ...value.releases },
+            feed: { ...FEED_DEFAULTS, ...value.feed },
+            projects: (value.projects || []).map(normalizeProject),
+            collections: (value.collections || []).map(normalizeCollection)
+        };
+
+        return config;
+    }
+
+    /**
+     * Flags repo names in exclude, order and projects that match no discovered repo
+     * @param {string[]} repoNames - Names and full names of every repo returned by discovery
+     */
+    function checkRepoNames(repoNames) {
+        if (!config) {
+            return;
+        }
+
+        const known = new Set(repoNames);
+        const isKnown = name => known.has(name) || known.has(name.toLowerCase());
+        const projectNames = new Set(config.projects.map(p => p.name));
+
+        // Re-running after a refresh should not duplicate warnings
+        diagnostics = diagnostics.filter(diagnostic => !diagnostic.repoCheck);
+
+        const flag = (path, name) => report({
+            level: 'warning',
+            repoCheck: true,
+            path,
+            line: ConfigSchema.findLine(source, path),
+            message: `"${name}" does not match any discovered repository`
+        });
+
+        // Walk the raw lists so indices (and line numbers) match the file,
+        // even when invalid entries were dropped during validation
+        const listOf = key => (Array.isArray(raw?.[key]) ? raw[key] : []);
+
+        listOf('exclude').forEach((name, index) => {
+            if (typeof name === 'string' && !isKnown(name)) flag(['exclude', index], name);
+        });
+
+        listOf('sources').forEach((source, sourceIndex) => {
+            (Array.isArray(source?.exclude) ? source.exclude : []).forEach((name, index) => {
+                if (typeof name === 'string' && !isKnown(name)) flag(['sources', sourceIndex, 'exclude', index], name);
+            });
+        });
+
+        // Order entries may also name a project by its display name
+        listOf('order').forEach((name, index) => {
+            if (typeof name === 'string' && !isKnown(name) && !projectNames.has(name)) flag(['order', index], name);
+        });
+
+        listOf('projects').forEach((project, index) => {
+            const repo = project?.repo;
+            if (typeof repo === 'string' && !isKnown(repo)) flag(['projects', index, 'repo'], repo);
+        });
+
+        // Collection entries, like order entries, may use a display name
+        listOf('collections').forEach((collection, collectionIndex) => {
+            (Array.isArray(collection?.projects) ? collection.projects : []).forEach((name, index) => {
+                if (typeof name === 'string' && !isKnown(name) && !projectNames.has(name)) {
+                    flag(['collections', collectionIndex, 'projects', index], name);
+                }
+            });
+        });
+    }
+
+    /**
+     * Gets problems found while loading and checking the config
+     * @returns {Object[]} Diagnostics ({ level, message, path, line })
+     */
+    function getDiagnostics() {
+        return diagnostics;
+    }
+
+    /**
+     * Normalizes a source entry ({ user } or { org }, on any provider)
+     * @param {Object} source - Validated source from YAML
+     * @returns {{provider: string, type: string, name: string|null, host: string|null,
+     *     pagesDomain: string|null, url: string|null, topic: string|null, all: boolean, exclude: string[]}} Normalized source
+     */
+    function normalizeSource(source) {
+        return {
+            provider: source.provider || 'github',
+            type: source.org ? 'org' : 'user',
+            name: source.org || source.user || null,
+            host: source.host || null,
+            pagesDomain: source.pagesDomain || null,
+            url: source.url || null,
+            topic: source.topic ? normalizeTags([source.topic])[0] || null : null,
+            all: source.all === true,
+            exclude: source.exclude || []
+        };
     }
 
     /**
@@ -57,18 +308,71 @@ const Config = (function() {
             name: project.name || project.repo || 'Untitled',
             description: project.description || null,
             url: project.url || null,
-            repoUrl: project.repoUrl !== undefined ? project.repoUrl : null,
+            // undefined = derive from repo, null = hide the source link
+            repoUrl: project.repoUrl,
             thumbnail: project.thumbnail || null,
-            order: project.order || null
+            tags: normalizeTags(project.tags),
+            order: project.order || null,
+            featured: project.featured === true,
+            asset: project.asset || null
         };
     }
 
+    /**
+     * Normalizes a collection entry
+     * @param {Object} collection - Validated collection from YAML
+     * @returns {{name: string, description: string, projects: string[]}} Normalized collection
+     */
+    function normalizeCollection(collection) {
+        return {
+            name: collection.name,
+            description: collection.description || '',
+            projects: collection.projects || []
+        };
+    }
+
+    /**
+     * Normalizes tags to lowercase, hyphenated, de-duplicated strings
+     * @param {string[]} [tags] - Raw tags
+     * @returns {string[]} Normalized tags
+     */
+    function normalizeTags(tags) {
+        const normalized = (tags || [])
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.trim().toLowerCase().replace(/[\s,]+/g, '-'))
+            .filter(Boolean);
+
+        return [...new Set(normalized)];
+    }
+
     /**
      * Gets the GitHub username from config
+     * This is the primary account, used for the header and as the default
+     * owner of `repo:` entries written without an owner.
      * @returns {string} GitHub username
      */
     function getUsername() {
-        return config?.username || 'darrenmcewan';
+        return config?.username || '';
+    }
+
+    /**
+     * Gets the accounts to discover repos from
+     * @returns {Object[]} Normalized sources (see normalizeSource)
+     */
+    function getSources() {
+        return config?.sources || [];
+    }
+
+    /**
+     * Whether a config repo reference ("name" or "owner/name") refers to a project's repo
+     * @param {string} entry - Repo reference from projects.yaml
+     * @param {{repo: string|null, fullName: string|null}} project - Discovered project
+     * @returns {boolean} True if the entry names this repo
+     */
+    function matchesRepo(entry, project) {
+        return entry.includes('/')
+            ? entry.toLowerCase() === (project.fullName || '').toLowerCase()
+            : entry === project.repo;
     }
 
     /**
@@ -87,6 +391,94 @@ const Config = (function() {
         return config?.order || [];
     }
 
+    /**
+     * Whether to refresh from the live API after rendering a snapshot
+     * @returns {boolean} True unless disabled in config
+     */
+    function getLiveRefresh() {
+        return config?.liveRefresh !== false;
+    }
+
+    /**
+     * Gets the default sort mode for visitors who haven't picked one
+     * @returns {string} config | name | updated | stars | created
+     */
+    function getDefaultSort() {
+        return config?.sort || 'config';
+    }
+
+    /**
+     * Gets the default layout for visitors who haven't picked one
+     * @returns {string} cards | list | compact
+     */
+    function getDefaultLayout() {
+        return config?.layout || 'cards';
+    }
+
+    /**
+     * Gets the default grouping for visitors who haven't picked one
+     * @returns {string} none | language | owner | tag
+     */
+    function getDefaultGroup() {
+        return config?.groupBy || 'none';
+    }
+
+    /**
+     * Gets GitHub Pages lookup options
+     * @returns {{lookup: boolean, healthCheck: boolean}} Pages options
+     */
+    function getPagesOptions() {
+        return config?.pages || PAGES_DEFAULTS;
+    }
+
+    /**
+     * Gets thumbnail fallback options
+     * @returns {{siteImages: boolean, generate: boolean}} Thumbnail options
+     */
+    function getThumbnailOptions() {
+        return config?.thumbnails || THUMBNAIL_DEFAULTS;
+    }
+
+    /**
+     * Gets which metadata fields to show on tiles
+     * @returns {Object<string, boolean>} Field name => visible
+     */
+    function getDisplay() {
+        return config?.display || DISPLAY_DEFAULTS;
+    }
+
+    /**
+     * Gets the site title, accent colors and fonts
+     * @returns {{title: string, accent: string|null, accentDark: string|null, font: string|null, headingFont: string|null}} Theme
+     */
+    function getTheme() {
+        return config?.theme || THEME_DEFAULTS;
+    }
+
+    /**
+     * Gets stats view options
+     * @returns {{staleMonths: number}} Stats options
+     */
+    function getStatsOptions() {
+        return config?.stats || STATS_DEFAULTS;
+    }
+
+    /**
+     * Gets release badge options
+     * @returns {{enabled: boolean, tags: boolean, asset: string|null}} Release options
+     */
+    function getReleaseOptions() {
+        return config?.releases || RELEASES_DEFAULTS;
+    }
+
+    /**
+     * Gets feed generation options
+     * @returns {{siteUrl: string|null, releases: boolean, pushes: boolean, limit: number}} Feed options
+     */
+    function getFeedOptions() {
+        return config?.feed || FEED_DEFAULTS;
+    }
+
     /**
      * Gets manual project entries
      * @returns {Object[]} Array of manual project configs
@@ -96,13 +488,21 @@ const Config = (function() {
     }
 
     /**
-     * Finds a project override by repo name
-     * @param {string} repoName - Repository name
+     * Gets the named collections, in config order
+     * @returns {{name: string, description: string, projects: string[]}[]} Collections
+     */
+    function getCollections() {
+        return config?.collections || [];
+    }
+
+    /**
+     * Finds a project override for a discovered project
+     * @param {{repo: string|null, fullName: string|null}} project - Discovered project
      * @returns {Object|null} Project override if found
      */
-    function getProjectOverride(repoName) {
+    function getProjectOverride(project) {
         const projects = getProjects();
-        return projects.find(p => p.repo === repoName) || null;
+        return projects.find(p => p.repo && matchesRepo(p.repo, project)) || null;
     }
 
     /**
@@ -128,11 +528,31 @@ const Config = (function() {
 
     return {
         load,
+        use,
+        getState,
+        setState,
+        checkRepoNames,
+        getDiagnostics,
         getUsername,
+        getSources,
+        matchesRepo,
         getExcluded,
         getOrder,
+        getLiveRefresh,
+        getDefaultSort,
+        getDefaultLayout,
+        getDefaultGroup,
+        getPagesOptions,
+        getThumbnailOptions,
+        getDisplay,
+        getTheme,
+        getStatsOptions,
+        getReleaseOptions,
+        getFeedOptions,
         getProjects,
+        getCollections,
         getProjectOverride,
+        normalizeTags,
         getManualProjects,
         getReposWithCustomUrls
     };
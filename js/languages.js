@@ -0,0 +1,63 @@
+/**
+ * Language colors for Project Hub
+ * GitHub linguist colors for common languages, with a stable
+ * generated color for anything not in the list
+ */
+
+const Languages = (function() {
+    const COLORS = {
+        'c': '#555555',
+        'c#': '#178600',
+        'c++': '#f34b7d',
+        'css': '#563d7c',
+        'dart': '#00b4ab',
+        'go': '#00add8',
+        'html': '#e34c26',
+        'java': '#b07219',
+        'javascript': '#f1e05a',
+        'jupyter notebook': '#da5b0b',
+        'kotlin': '#a97bff',
+        'lua': '#000080',
+        'php': '#4f5d95',
+        'python': '#3572a5',
+        'ruby': '#701516',
+        'rust': '#dea584',
+        'scss': '#c6538c',
+        'shell': '#89e051',
+        'svelte': '#ff3e00',
+        'swift': '#f05138',
+        'typescript': '#3178c6',
+        'vue': '#41b883'
+    };
+
+    /**
+     * Hashes a string to a 32-bit integer
+     * @param {string} text - Input text
+     * @returns {number} Non-negative hash
+     */
+    function hash(text) {
+        let value = 0;
+        for (let i = 0; i < text.length; i++) {
+            value = (value * 31 + text.charCodeAt(i)) | 0;
+        }
+        return Math.abs(value);
+    }
+
+    /**
+     * Gets the display color for a language
+     * @param {string|null} language - Language name as reported by GitHub
+     * @returns {string|null} CSS color, or null when there is no language
+     */
+    function getColor(language) {
+        if (!language) {
+            return null;
+        }
+
+        const known = COLORS[language.toLowerCase()];
+        return known || `hsl(${hash(language.toLowerCase()) % 360}, 55%, 50%)`;
+    }
+
+    return {
+        getColor
+    };
+})();
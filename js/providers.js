@@ -0,0 +1,641 @@
+/**
+ * Source providers for Project Hub
+ * Each provider turns a `sources:` entry from projects.yaml into projects in
+ * the shape GitHubAPI.transformRepo produces. GitLab, Gitea/Codeberg and
+ * remote JSON lists are built in; api.js registers the GitHub provider.
+ *
+ * A provider is an object with:
+ *   label                      - Name shown to visitors ("View source on <label>"), or null
+ *   discover(source, progress) - Resolves to { projects, repoNames, profile }
+ *   fetchProfile(source)       - Optional; resolves to a profile or null
+ *   fetchReadme(project)       - Optional; resolves to { html, linkBase, imageBase } or null
+ *   fetchLatestRelease(project) - Optional; resolves to a release or null
+ *   fetchLatestTag(project)    - Optional; resolves to the newest tag as a release, or null
+ *
+ * Releases have the shape { name, tag, url, publishedAt, assets: [{ name, url }] };
+ * a tag has no publishedAt (it is null) and no assets, which is how tiles and feeds tell them apart.
+ */
+
+const Providers = (function() {
+    const providers = new Map();
+
+    /**
+     * Registers a provider under the name used in `provider:` entries
+     * @param {string} name - Provider name (e.g. "gitlab")
+     * @param {Object} provider - Provider implementation
+     */
+    function register(name, provider) {
+        providers.set(name, provider);
+    }
+
+    /**
+     * Gets a registered provider
+     * @param {string} [name] - Provider name (defaults to github)
+     * @returns {Object} Provider implementation
+     */
+    function get(name) {
+        const provider = providers.get(name || 'github');
+        if (!provider) {
+            throw new Error(`Unknown source provider: ${name}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Gets the display name of a provider
+     * @param {string|null} name - Provider name from a project
+     * @returns {string|null} Label such as "GitLab", or null for generic sources
+     */
+    function getLabel(name) {
+        return providers.get(name || 'github')?.label || null;
+    }
+
+    /**
+     * Whether a string is an absolute http(s) URL
+     * @param {string|null} value - Candidate URL
+     * @returns {boolean} True for http: and https: URLs
+     */
+    function isWebUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets the base URL of a self-hostable forge
+     * @param {string|null} host - `host:` from the source ("gitlab.example.com" or a full URL)
+     * @param {string} defaultHost - Host used when none is configured
+     * @returns {string} Base URL without a trailing slash
+     */
+    function getBaseUrl(host, defaultHost) {
+        const value = host || defaultHost;
+        return (isWebUrl(value) ? value : `https://${value}`).replace(/\/+$/, '');
+    }
+
+    /**
+     * Calls fetch(), marking a request that got no response at all with `network: true`
+     * Only those mean the visitor may be offline; other errors (including
+     * TypeErrors from our own code) are reported as they are.
+     * @param {string} url - Request URL
+     * @param {Object} [init] - fetch() options
+     * @returns {Promise<Response>} Response
+     */
+    async function request(url, init) {
+        try {
+            return await fetch(url, init);
+        } catch (error) {
+            error.network = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches JSON from a provider's API
+     * @param {string} url - API URL
+     * @param {string} label - Provider label for error messages
+     * @returns {Promise<{data: *, headers: Headers}>} Response body and headers
+     */
+    async function fetchJson(url, label) {
+        const response = await request(url, { headers: { Accept: 'application/json' } });
+
+        if (!response.ok) {
+            const error = new Error(`${label} API error: ${response.status}`);
+            error.status = response.status;
+            error.rateLimited = response.status === 429;
+
+            // GitLab sends RateLimit-Reset (epoch seconds); others may send Retry-After
+            const reset = parseInt(response.headers.get('RateLimit-Reset'), 10);
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            if (error.rateLimited) {
+                error.resetAt = reset ? new Date(reset * 1000)
+                    : retryAfter ? new Date(Date.now() + retryAfter * 1000)
+                        : null;
+            }
+
+            throw error;
+        }
+
+        return { data: await response.json(), headers: response.headers };
+    }
+
+    /**
+     * Resolves a lookup to null when the forge answers 404
+     * @param {Promise<Object|null>} request - Pending lookup
+     * @returns {Promise<Object|null>} Result, or null
+     */
+    async function orNull(request) {
+        try {
+            return await request;
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Builds a project with the fields every provider fills in
+     * @param {Object} fields - Provider-specific values
+     * @returns {Object} Project object
+     */
+    function createProject(fields) {
+        const language = fields.language || null;
+
+        return {
+            name: fields.name,
+            repo: fields.repo || null,
+            fullName: fields.fullName || null,
+            owner: fields.owner || null,
+            description: fields.description || '',
+            url: fields.url,
+            repoUrl: fields.repoUrl || null,
+            thumbnail: fields.thumbnail || null,
+            tags: Config.normalizeTags([...(fields.topics || []), language]),
+            language,
+            languageColor: Languages.getColor(language),
+            archived: Boolean(fields.archived),
+            stars: fields.stars ?? null,
+            forks: fields.forks ?? null,
+            openIssues: fields.openIssues ?? null,
+            license: fields.license || null,
+            createdAt: fields.createdAt || null,
+            pushedAt: fields.pushedAt || null,
+            status: null,
+            featured: false,
+            isAutoDiscovered: true,
+            provider: fields.provider,
+            host: fields.host || null
+        };
+    }
+
+    /**
+     * Gets the root Pages site a GitLab project publishes by its name alone
+     * The API doesn't say which other projects publish Pages, so those are
+     * only listed with `all: true` (linking to the project) or through a
+     * projects.yaml entry with a `url`.
+     * @param {string} pathWithNamespace - e.g. "group/group.gitlab.io"
+     * @param {string|null} pagesDomain - Pages domain (e.g. "gitlab.io")
+     * @returns {string|null} Root site URL for a project named "<namespace>.<domain>", else null
+     */
+    function getGitLabRootSite(pathWithNamespace, pagesDomain) {
+        if (!pagesDomain) {
+            return null;
+        }
+
+        const [namespace, ...rest] = pathWithNamespace.split('/');
+        const host = `${namespace.toLowerCase()}.${pagesDomain}`;
+
+        return rest.join('/').toLowerCase() === host ? `https://${host}/` : null;
+    }
+
+    /**
+     * Creates a GitLab provider
+     * @param {Object} defaults
+     * @param {string} defaults.host - Default instance (e.g. "gitlab.com")
+     * @param {string|null} defaults.pagesDomain - Default Pages domain, if the instance has one
+     * @returns {Object} Provider implementation
+     */
+    function createGitLabProvider(defaults) {
+        const label = 'GitLab';
+
+        /**
+         * Gets the Pages domain for a source's projects
+         * The default Pages domain only applies to the default instance.
+         * @param {Object} source - Normalized source
+         * @returns {string|null} Pages domain, or null if the instance has none
+         */
+        function getPagesDomain(source) {
+            return source.pagesDomain || (source.host ? null : defaults.pagesDomain);
+        }
+
+        /**
+         * Transforms a GitLab project into our project format
+         * @param {Object} project - GitLab project object
+         * @param {Object} source - Normalized source
+         * @param {string} base - Instance base URL
+         * @returns {Object} Project object
+         */
+        function transform(project, source, base) {
+            return createProject({
+                name: project.name,
+                repo: project.path,
+                fullName: project.path_with_namespace,
+                owner: project.namespace ? project.namespace.full_path : null,
+                description: project.description,
+                url: getGitLabRootSite(project.path_with_namespace, getPagesDomain(source)) || project.web_url,
+                repoUrl: project.web_url,
+                topics: project.topics || project.tag_list,
+                archived: project.archived,
+                stars: project.star_count,
+                forks: project.forks_count,
+                openIssues: project.open_issues_count,
+                createdAt: project.created_at,
+                pushedAt: project.last_activity_at,
+                provider: source.provider,
+                host: base
+            });
+        }
+
+        return {
+            label,
+
+            async discover(source, onProgress) {
+                const base = getBaseUrl(source.host, defaults.host);
+                const owner = source.type === 'org'
+                    ? `groups/${encodeURIComponent(source.name)}/projects?include_subgroups=true&`
+                    : `users/${encodeURIComponent(source.name)}/projects?`;
+                const projects = [];
+                let page = 1;
+
+                while (page) {
+                    const { data, headers } = await fetchJson(`${base}/api/v4/${owner}per_page=100&page=${page}`, label);
+                    projects.push(...data);
+
+                    const totalPages = parseInt(headers.get('X-Total-Pages'), 10) || null;
+                    if (onProgress) {
+                        onProgress({ page, totalPages, loaded: projects.length });
+                    }
+
+                    page = parseInt(headers.get('X-Next-Page'), 10) || null;
+                }
+
+                // Only the root site is known to be published, unless every project is asked for
+                const listed = source.all
+                    ? projects
+                    : projects.filter(project => getGitLabRootSite(project.path_with_namespace, getPagesDomain(source)));
+
+                return {
+                    projects: listed.map(project => transform(project, source, base)),
+                    repoNames: projects.flatMap(project => [project.path, project.path_with_namespace.toLowerCase()]),
+                    profile: null
+                };
+            },
+
+            async fetchProfile(source) {
+                const base = getBaseUrl(source.host, defaults.host);
+
+                if (source.type === 'org') {
+                    const { data } = await fetchJson(`${base}/api/v4/groups/${encodeURIComponent(source.name)}?with_projects=false`, label);
+                    return { username: data.full_path, avatarUrl: data.avatar_url, profileUrl: data.web_url };
+                }
+
+                const { data } = await fetchJson(`${base}/api/v4/users?username=${encodeURIComponent(source.name)}`, label);
+                return data[0]
+                    ? { username: data[0].username, avatarUrl: data[0].avatar_url, profileUrl: data[0].web_url }
+                    : null;
+            },
+
+            async fetchLatestRelease(project) {
+                const url = `${project.host}/api/v4/projects/${encodeURIComponent(project.fullName)}/releases?per_page=1`;
+                const release = await orNull(fetchJson(url, label).then(({ data }) => data[0] || null));
+
+                return release ? {
+                    name: release.name || release.tag_name,
+                    tag: release.tag_name,
+                    url: release._links && release._links.self
+                        ? release._links.self
+                        : `${project.repoUrl}/-/releases/${encodeURIComponent(release.tag_name)}`,
+                    publishedAt: release.released_at || release.created_at,
+                    assets: ((release.assets && release.assets.links) || []).map(link => ({
+                        name: link.name,
+                        url: link.direct_asset_url || link.url
+                    }))
+                } : null;
+            },
+
+            async fetchLatestTag(project) {
+                // Tags are listed most recently updated first
+                const url = `${project.host}/api/v4/projects/${encodeURIComponent(project.fullName)}/repository/tags?per_page=1`;
+                const tag = await orNull(fetchJson(url, label).then(({ data }) => data[0] || null));
+
+                return tag ? {
+                    name: tag.name,
+                    tag: tag.name,
+                    url: `${project.repoUrl}/-/tags/${encodeURIComponent(tag.name)}`,
+                    publishedAt: null,
+                    assets: []
+                } : null;
+            }
+        };
+    }
+
+    /**
+     * Creates a Gitea provider (also used for Codeberg and Forgejo)
+     * @param {Object} defaults
+     * @param {string} defaults.label - Display name
+     * @param {string|null} defaults.host - Default instance, or null if `host` is required
+     * @param {string|null} defaults.pagesDomain - Default Pages domain, if the instance has one
+     * @returns {Object} Provider implementation
+     */
+    function createGiteaProvider(defaults) {
+        const label = defaults.label;
+        const PAGE_SIZE = 50;
+
+        /**
+         * Gets the base URL for a source, which must name an instance if there is no default
+         * @param {Object} source - Normalized source
+         * @returns {string} Instance base URL
+         */
+        function getSourceBase(source) {
+            if (!source.host && !defaults.host) {
+                throw new Error(`${label} sources need a "host"`);
+            }
+            return getBaseUrl(source.host, defaults.host);
+        }
+
+        /**
+         * Gets the Pages domain for a source's repos
+         * @param {Object} source - Normalized source
+         * @returns {string|null} Pages domain, or null if the instance has none
+         */
+        function getPagesDomain(source) {
+            return source.pagesDomain || (source.host ? null : defaults.pagesDomain);
+        }
+
+        /**
+         * Gets where a Gitea repo's site is served
+         * Prefers the repo's website, then Pages - a repo named "pages" is the
+         * owner's root site, others only once a `pages` branch has been found.
+         * @param {Object} repo - Gitea repository object
+         * @param {string|null} pagesDomain - Pages domain, if any
+         * @param {boolean} hasPages - Whether the repo has a `pages` branch
+         * @returns {string|null} Site URL, or null if the repo has no known site
+         */
+        function getSiteUrl(repo, pagesDomain, hasPages) {
+            if (isWebUrl(repo.website)) {
+                return repo.website;
+            }
+            if (!pagesDomain) {
+                return null;
+            }
+
+            const host = `${repo.owner.login.toLowerCase()}.${pagesDomain}`;
+            if (repo.name.toLowerCase() === 'pages') {
+                return `https://${host}/`;
+            }
+            return hasPages ? `https://${host}/${repo.name}/` : null;
+        }
+
+        /**
+         * Finds the repos that publish Pages from a `pages` branch (see `pages: lookup:`)
+         * Costs one request per repo without a website, so it is off unless asked for.
+         * @param {Object[]} repos - Gitea repository objects
+         * @param {Object} source - Normalized source
+         * @param {string} base - Instance base URL
+         * @returns {Promise<Set<string>>} Full names of repos with a `pages` branch
+         */
+        async function findPagesRepos(repos, source, base) {
+            const found = new Set();
+
+            if (!getPagesDomain(source) || !Config.getPagesOptions().lookup) {
+                return found;
+            }
+
+            const candidates = repos.filter(repo => !isWebUrl(repo.website) && repo.name.toLowerCase() !== 'pages');
+
+            await Promise.all(candidates.map(async repo => {
+                const branch = await orNull(fetchJson(`${base}/api/v1/repos/${repo.full_name}/branches/pages`, label));
+                if (branch) {
+                    found.add(repo.full_name);
+                }
+            }));
+
+            return found;
+        }
+
+        /**
+         * Transforms a Gitea repo into our project format
+         * @param {Object} repo - Gitea repository object
+         * @param {Object} source - Normalized source
+         * @param {string} base - Instance base URL
+         * @param {Set<string>} pagesRepos - Full names of repos with a `pages` branch
+         * @returns {Object} Project object
+         */
+        function transform(repo, source, base, pagesRepos) {
+            return createProject({
+                name: repo.name,
+                repo: repo.name,
+                fullName: repo.full_name,
+                owner: repo.owner.login,
+                description: repo.description,
+                url: getSiteUrl(repo, getPagesDomain(source), pagesRepos.has(repo.full_name)) || repo.html_url,
+                repoUrl: repo.html_url,
+                topics: repo.topics,
+                language: repo.language,
+                archived: repo.archived,
+                stars: repo.stars_count,
+                forks: repo.forks_count,
+                openIssues: repo.open_issues_count === undefined
+                    ? null
+                    : repo.open_issues_count + (repo.open_pr_counter || 0),
+                license: repo.licenses && repo.licenses[0],
+                createdAt: repo.created_at,
+                pushedAt: repo.updated_at,
+                provider: source.provider,
+                host: base
+            });
+        }
+
+        return {
+            label,
+
+            async discover(source, onProgress) {
+                const base = getSourceBase(source);
+                const owner = `${source.type === 'org' ? 'orgs' : 'users'}/${encodeURIComponent(source.name)}`;
+                const repos = [];
+                let page = 1;
+                let more = true;
+
+                while (more) {
+                    const { data, headers } = await fetchJson(`${base}/api/v1/${owner}/repos?limit=${PAGE_SIZE}&page=${page}`, label);
+                    repos.push(...data);
+
+                    const total = parseInt(headers.get('X-Total-Count'), 10);
+                    const totalPages = total >= 0 ? Math.max(1, Math.ceil(total / PAGE_SIZE)) : null;
+                    if (onProgress) {
+                        onProgress({ page, totalPages, loaded: repos.length });
+                    }
+
+                    // Instances may cap the page size below what we asked for
+                    more = data.length > 0 && (totalPages ? page < totalPages : data.length === PAGE_SIZE);
+                    page++;
+                }
+
+                const visible = repos.filter(repo => !repo.private);
+                const pagesRepos = await findPagesRepos(visible, source, base);
+
+                // Repos without a known site are left out, unless every repo is asked for
+                const listed = source.all
+                    ? visible
+                    : visible.filter(repo => getSiteUrl(repo, getPagesDomain(source), pagesRepos.has(repo.full_name)));
+
+                return {
+                    projects: listed.map(repo => transform(repo, source, base, pagesRepos)),
+                    repoNames: repos.flatMap(repo => [repo.name, repo.full_name.toLowerCase()]),
+                    profile: null
+                };
+            },
+
+            async fetchProfile(source) {
+                const base = getSourceBase(source);
+                const { data } = await fetchJson(
+                    `${base}/api/v1/${source.type === 'org' ? 'orgs' : 'users'}/${encodeURIComponent(source.name)}`,
+                    label
+                );
+                const name = data.login || data.username || source.name;
+
+                return { username: name, avatarUrl: data.avatar_url, profileUrl: `${base}/${name}` };
+            },
+
+            async fetchLatestRelease(project) {
+                return orNull(fetchJson(`${project.host}/api/v1/repos/${project.fullName}/releases/latest`, label)
+                    .then(({ data }) => ({
+                        name: data.name || data.tag_name,
+                        tag: data.tag_name,
+                        url: data.html_url,
+                        publishedAt: data.published_at,
+                        assets: (data.assets || []).map(asset => ({ name: asset.name, url: asset.browser_download_url }))
+                    })));
+            },
+
+            async fetchLatestTag(project) {
+                const url = `${project.host}/api/v1/repos/${project.fullName}/tags?limit=1`;
+                const tag = await orNull(fetchJson(url, label).then(({ data }) => data[0] || null));
+
+                return tag ? {
+                    name: tag.name,
+                    tag: tag.name,
+                    url: `${project.repoUrl}/src/tag/${encodeURIComponent(tag.name)}`,
+                    publishedAt: null,
+                    assets: []
+                } : null;
+            }
+        };
+    }
+
+    /**
+     * Creates the remote JSON list provider
+     * The list is an array of projects (or an object with a `projects`
+     * array, such as another hub's projects.json). Only `name` and `url`
+     * are required; relative URLs resolve against the list's location.
+     * @returns {Object} Provider implementation
+     */
+    function createJsonProvider() {
+        const label = 'Project list';
+
+        /**
+         * Gets the absolute location of the list
+         * Relative lists resolve against the page; the build scripts have no
+         * page, so there they stay relative to the site root.
+         * @param {string} url - `url:` from the source
+         * @returns {string|null} Absolute URL, or null if it can't be known
+         */
+        function getListUrl(url) {
+            try {
+                return new URL(url, typeof window !== 'undefined' ? window.location.href : undefined).href;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Resolves a URL from the list, keeping only http(s) and relative ones
+         * @param {string|null} value - URL from the list
+         * @param {string|null} base - Absolute location of the list, if known
+         * @returns {string|null} URL, or null if missing or disallowed
+         */
+        function resolveUrl(value, base) {
+            if (typeof value !== 'string' || !value) {
+                return null;
+            }
+            if (!base) {
+                return isWebUrl(value) || !/^[a-z][a-z0-9+.-]*:/i.test(value) ? value : null;
+            }
+            try {
+                const url = new URL(value, base).href;
+                return isWebUrl(url) ? url : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Transforms a list entry into our project format
+         * @param {Object} item - Entry from the list
+         * @param {string} base - Location of the list
+         * @returns {Object|null} Project object, or null if the entry is unusable
+         */
+        function transform(item, base) {
+            const url = resolveUrl(item && item.url, base);
+
+            if (!item || typeof item.name !== 'string' || !url) {
+                console.warn(`Skipping a project list entry without a "name" and http(s) "url"`);
+                return null;
+            }
+
+            // Lists are hand-written or come from other hubs, so anything
+            // of the wrong type is dropped rather than trusted
+            const number = value => (typeof value === 'number' ? value : null);
+            const string = value => (typeof value === 'string' ? value : null);
+            const date = value => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null);
+
+            return createProject({
+                name: item.name,
+                repo: string(item.repo),
+                fullName: string(item.fullName),
+                owner: string(item.owner),
+                description: string(item.description),
+                url,
+                repoUrl: resolveUrl(item.repoUrl, base),
+                thumbnail: resolveUrl(item.thumbnail, base),
+                topics: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : [],
+                language: string(item.language),
+                archived: item.archived,
+                stars: number(item.stars),
+                forks: number(item.forks),
+                openIssues: number(item.openIssues),
+                license: string(item.license),
+                createdAt: date(item.createdAt),
+                pushedAt: date(item.pushedAt),
+                provider: 'json'
+            });
+        }
+
+        return {
+            label: null,
+
+            async discover(source, onProgress) {
+                const base = getListUrl(source.url);
+                const { data } = await fetchJson(source.url, label);
+                const items = Array.isArray(data) ? data : (data && Array.isArray(data.projects) ? data.projects : []);
+                const projects = items.map(item => transform(item, base)).filter(Boolean);
+
+                if (onProgress) {
+                    onProgress({ page: 1, totalPages: 1, loaded: projects.length });
+                }
+
+                return {
+                    projects,
+                    repoNames: projects.flatMap(project => [project.name, project.repo, project.fullName && project.fullName.toLowerCase()]).filter(Boolean),
+                    profile: null
+                };
+            }
+        };
+    }
+
+    register('gitlab', createGitLabProvider({ host: 'gitlab.com', pagesDomain: 'gitlab.io' }));
+    register('gitea', createGiteaProvider({ label: 'Gitea', host: null, pagesDomain: null }));
+    register('codeberg', createGiteaProvider({ label: 'Codeberg', host: 'codeberg.org', pagesDomain: 'codeberg.page' }));
+    register('json', createJsonProvider());
+
+    return {
+        register,
+        get,
+        getLabel,
+        isWebUrl,
+        request
+    };
+})();
@@ -0,0 +1,175 @@
+/**
+ * HTML sanitizer for Project Hub
+ * Cleans third-party HTML (e.g. rendered READMEs) with an allow-list
+ * before it is inserted into the page
+ */
+
+const Sanitizer = (function() {
+    // Elements kept as-is (minus disallowed attributes)
+    const ALLOWED_TAGS = new Set([
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+        'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'ol',
+        'p', 'pre', 's', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+        'tfoot', 'th', 'thead', 'tr', 'ul'
+    ]);
+
+    // Elements removed together with their content; anything else unknown is unwrapped
+    const DROPPED_TAGS = new Set([
+        'base', 'button', 'embed', 'form', 'frame', 'frameset', 'iframe', 'input', 'link',
+        'math', 'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template',
+        'textarea', 'title'
+    ]);
+
+    const ALLOWED_ATTRIBUTES = {
+        '*': ['align', 'id', 'title'],
+        'a': ['href'],
+        'img': ['src', 'alt', 'width', 'height'],
+        'code': ['class'],
+        'pre': ['class'],
+        'details': ['open'],
+        'td': ['colspan', 'rowspan'],
+        'th': ['colspan', 'rowspan']
+    };
+
+    /**
+     * Resolves a URL and returns it only if its scheme is allowed
+     * @param {string} value - Raw attribute value
+     * @param {string} base - Base URL for relative values
+     * @param {string[]} schemes - Allowed protocols (e.g. ['http:', 'https:'])
+     * @returns {string|null} Absolute URL, or null if disallowed
+     */
+    function safeUrl(value, base, schemes) {
+        try {
+            const url = new URL(value.trim(), base);
+            return schemes.includes(url.protocol) ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Checks a link or image URL taken from projects.yaml or an API response
+     * Absolute URLs must be http(s); relative ones are kept as written.
+     * @param {string} value - Raw URL
+     * @returns {string|null} Trimmed URL, or null if missing or disallowed
+     */
+    function cleanUrl(value) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            return null;
+        }
+
+        // Relative URLs resolve to https: here, and parsing matches the
+        // browser's (so "java\tscript:" is caught as "javascript:")
+        return safeUrl(value, 'https://relative.invalid/', ['http:', 'https:']) ? value.trim() : null;
+    }
+
+    /**
+     * Cleans an element's attributes in place
+     * @param {Element} element - Element to clean
+     * @param {{linkBase: string, imageBase: string}} options - Bases for relative URLs
+     */
+    function cleanAttributes(element, options) {
+        const tag = element.tagName.toLowerCase();
+        const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+
+        [...element.attributes].forEach(attribute => {
+            if (!allowed.includes(attribute.name.toLowerCase())) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+
+        if (tag === 'a' && element.hasAttribute('href')) {
+            const href = element.getAttribute('href');
+
+            // In-page anchors (e.g. a README's table of contents) stay relative
+            if (href.startsWith('#')) {
+                return;
+            }
+
+            const url = safeUrl(href, options.linkBase, ['http:', 'https:', 'mailto:']);
+            if (url) {
+                element.setAttribute('href', url);
+                element.setAttribute('target', '_blank');
+                element.setAttribute('rel', 'noopener noreferrer');
+            } else {
+                element.removeAttribute('href');
+            }
+        }
+
+        if (tag === 'img') {
+            const url = element.hasAttribute('src')
+                ? safeUrl(element.getAttribute('src'), options.imageBase, ['http:', 'https:'])
+                : null;
+
+            if (url) {
+                element.setAttribute('src', url);
+                element.setAttribute('loading', 'lazy');
+            } else {
+                element.remove();
+            }
+        }
+    }
+
+    /**
+     * Recursively sanitizes the children of a node
+     * @param {Node} parent - Node whose children are cleaned
+     * @param {Object} options - Bases for relative URLs
+     */
+    function cleanChildren(parent, options) {
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return;
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+
+            if (DROPPED_TAGS.has(tag)) {
+                node.remove();
+                return;
+            }
+
+            cleanChildren(node, options);
+
+            if (ALLOWED_TAGS.has(tag)) {
+                cleanAttributes(node, options);
+            } else {
+                node.replaceWith(...node.childNodes);
+            }
+        });
+    }
+
+    /**
+     * Parses and sanitizes an HTML string
+     * Parsing happens in an inert document, so nothing loads or runs before cleaning.
+     * @param {string} html - Untrusted HTML
+     * @param {Object} [options]
+     * @param {string} [options.linkBase] - Base for relative links
+     * @param {string} [options.imageBase] - Base for relative images
+     * @returns {DocumentFragment} Clean content, ready to append
+     */
+    function sanitizeHtml(html, options = {}) {
+        const base = window.location.href;
+        const bases = {
+            linkBase: options.linkBase || base,
+            imageBase: options.imageBase || options.linkBase || base
+        };
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        cleanChildren(doc.body, bases);
+
+        const fragment = document.createDocumentFragment();
+        fragment.append(...[...doc.body.childNodes].map(node => document.importNode(node, true)));
+        return fragment;
+    }
+
+    return {
+        sanitizeHtml,
+        safeUrl,
+        cleanUrl
+    };
+})();
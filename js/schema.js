@@ -0,0 +1,461 @@
+/**
+ * Schema for projects.yaml
+ * Validates the parsed config and reports problems with line numbers
+ */
+
+const ConfigSchema = (function() {
+    // Absolute http(s) or relative; browsers ignore tabs and newlines inside a scheme
+    const LINK = {
+        type: 'string',
+        check: value => {
+            const url = value.replace(/[\t\n\r]/g, '').trim();
+            return /^[a-z][a-z\d+.-]*:/i.test(url) && !/^https?:/i.test(url)
+                ? `"${value}" must be an http(s) or relative URL`
+                : null;
+        }
+    };
+
+    const PROJECT = {
+        type: 'object',
+        fields: {
+            repo: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            url: LINK,
+            repoUrl: { ...LINK, nullable: true },
+            thumbnail: LINK,
+            tags: { type: 'list', of: { type: 'string' } },
+            order: { type: 'number' },
+            featured: { type: 'boolean' },
+            asset: { type: 'string' }
+        },
+        check: project => (!project.repo && !project.url ? 'needs a "url" when there is no "repo"' : null)
+    };
+
+    const SOURCE = {
+        type: 'object',
+        fields: {
+            provider: { type: 'string', values: ['github', 'gitlab', 'gitea', 'codeberg', 'json'] },
+            user: { type: 'string' },
+            org: { type: 'string' },
+            host: { type: 'string' },
+            pagesDomain: { type: 'string' },
+            url: { type: 'string' },
+            topic: { type: 'string' },
+            all: { type: 'boolean' },
+            exclude: { type: 'list', of: { type: 'string' } }
+        },
+        check: source => {
+            if (source.provider === 'json') {
+                return !source.url ? 'needs a "url" for the project list' : null;
+            }
+            if (source.provider === 'gitea' && !source.host) {
+                return 'needs a "host" for the Gitea instance';
+            }
+            return Boolean(source.user) === Boolean(source.org) ? 'needs exactly one of "user" or "org"' : null;
+        }
+    };
+
+    const COLLECTION = {
+        type: 'object',
+        fields: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            projects: { type: 'list', of: { type: 'string' } }
+        },
+        check: collection => (!collection.name ? 'needs a "name"' : null)
+    };
+
+    // Hex, rgb()/hsl() or a named color - nothing that could end the CSS declaration
+    const COLOR = {
+        type: 'string',
+        check: value => (/^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%/]+\)|[a-z]+)$/i.test(value.trim())
+            ? null
+            : `"${value}" is not a CSS color`)
+    };
+
+    const FONT = {
+        type: 'string',
+        check: value => (/[;{}<>]/.test(value) ? 'font stacks cannot contain ";", "{", "}", "<" or ">"' : null)
+    };
+
+    const ROOT = {
+        type: 'object',
+        fields: {
+            username: { type: 'string' },
+            sources: { type: 'list', of: SOURCE },
+            exclude: { type: 'list', of: { type: 'string' } },
+            order: { type: 'list', of: { type: 'string' } },
+            liveRefresh: { type: 'boolean' },
+            sort: { type: 'string', values: ['config', 'name', 'updated', 'stars', 'created'] },
+            layout: { type: 'string', values: ['cards', 'list', 'compact'] },
+            groupBy: { type: 'string', values: ['none', 'language', 'owner', 'tag'] },
+            pages: {
+                type: 'object',
+                fields: {
+                    lookup: { type: 'boolean' },
+                    healthCheck: { type: 'boolean' }
+                }
+            },
+            thumbnails: {
+                type: 'object',
+                fields: {
+                    siteImages: { type: 'boolean' },
+                    generate: { type: 'boolean' }
+                }
+            },
+            display: {
+                type: 'object',
+                fields: {
+                    language: { type: 'boolean' },
+                    stars: { type: 'boolean' },
+                    forks: { type: 'boolean' },
+                    issues: { type: 'boolean' },
+                    license: { type: 'boolean' },
+                    updated: { type: 'boolean' },
+                    archived: { type: 'boolean' },
+                    release: { type: 'boolean' }
+                }
+            },
+            theme: {
+                type: 'object',
+                fields: {
+                    title: { type: 'string' },
+                    accent: COLOR,
+                    accentDark: COLOR,
+                    font: FONT,
+                    headingFont: FONT
+                }
+            },
+            stats: {
+                type: 'object',
+                fields: {
+                    staleMonths: {
+                        type: 'number',
+                        check: value => (Number.isInteger(value) && value > 0 ? null : 'must be a whole number above 0')
+                    }
+                }
+            },
+            releases: {
+                type: 'object',
+                fields: {
+                    enabled: { type: 'boolean' },
+                    tags: { type: 'boolean' },
+                    asset: { type: 'string' }
+                }
+            },
+            feed: {
+                type: 'object',
+                fields: {
+                    siteUrl: {
+                        type: 'string',
+                        check: value => (/^https?:\/\//i.test(value) ? null : 'must be an http(s) URL')
+                    },
+                    releases: { type: 'boolean' },
+                    pushes: { type: 'boolean' },
+                    limit: {
+                        type: 'number',
+                        check: value => (Number.isInteger(value) && value > 0 ? null : 'must be a whole number above 0')
+                    }
+                }
+            },
+            projects: { type: 'list', of: PROJECT },
+            collections: { type: 'list', of: COLLECTION }
+        },
+        check: root => (!root.username && !(root.sources && root.sources.length)
+            ? 'needs a "username" or a list of "sources"'
+            : null)
+    };
+
+    // Keys that look like credentials get a pointed error instead of "unknown key"
+    const SECRET_KEY = /token|secret|password/i;
+
+    /**
+     * Gets the schema type name of a parsed YAML value
+     * @param {*} value - Parsed value
+     * @returns {string} One of string, number, boolean, list, object, null
+     */
+    function typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return 'list';
+        return typeof value;
+    }
+
+    /**
+     * Computes the edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Levenshtein distance
+     */
+    function editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = a[i - 1] === b[j - 1]
+                    ? previous
+                    : 1 + Math.min(previous, row[j], row[j - 1]);
+                previous = current;
+            }
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Finds the closest known key to a misspelled one
+     * @param {string} key - Unknown key
+     * @param {string[]} known - Valid keys
+     * @returns {string|null} Suggestion, if one is close enough
+     */
+    function suggest(key, known) {
+        let best = null;
+        let bestDistance = 3;
+
+        known.forEach(candidate => {
+            const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Formats a path like ['projects', 2, 'url'] as "projects[2].url"
+     * @param {Array<string|number>} path - Path segments
+     * @returns {string} Readable path
+     */
+    function formatPath(path) {
+        return path.reduce((result, segment) => (
+            typeof segment === 'number'
+                ? `${result}[${segment}]`
+                : (result ? `${result}.${segment}` : segment)
+        ), '');
+    }
+
+    /**
+     * Gets the indentation width of a line
+     * @param {string} line - Source line
+     * @returns {number} Leading space count
+     */
+    function indentOf(line) {
+        return line.match(/^\s*/)[0].length;
+    }
+
+    /**
+     * Whether a line carries no YAML content
+     * @param {string} line - Source line
+     * @returns {boolean} True for blank and comment-only lines
+     */
+    function isBlank(line) {
+        return /^\s*(#.*)?$/.test(line);
+    }
+
+    /**
+     * Finds the (1-based) source line for a config path
+     * Good enough for the block style used in projects.yaml; returns the
+     * closest parent's line when the exact location cannot be found.
+     * @param {string} source - Raw YAML text
+     * @param {Array<string|number>} path - Path segments
+     * @returns {number|null} Line number, or null if unknown
+     */
+    function findLine(source, path) {
+        const lines = source.split('\n');
+        let start = 0;
+        let end = lines.length;
+        let found = null;
+
+        for (const segment of path) {
+            if (typeof segment === 'number') {
+                const items = [];
+                let itemIndent = null;
+
+                for (let i = start; i < end; i++) {
+                    if (isBlank(lines[i])) continue;
+                    const match = lines[i].match(/^(\s*)-(\s|$)/);
+                    if (match && (itemIndent === null || match[1].length === itemIndent)) {
+                        itemIndent = match[1].length;
+                        items.push(i);
+                    }
+                }
+
+                if (items[segment] === undefined) break;
+                found = items[segment];
+                start = items[segment];
+                end = items[segment + 1] !== undefined ? items[segment + 1] : end;
+            } else {
+                const escaped = segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = found === null
+                    ? new RegExp(`^${escaped}\\s*:`)
+                    : new RegExp(`^\\s*(-\\s+)?${escaped}\\s*:`);
+
+                let index = -1;
+                for (let i = start; i < end; i++) {
+                    if (pattern.test(lines[i])) {
+                        index = i;
+                        break;
+                    }
+                }
+
+                if (index === -1) break;
+
+                // The key's block runs until the next line indented at or above it
+                const indent = indentOf(lines[index].replace(/-\s+/, match => ' '.repeat(match.length)));
+                let blockEnd = index + 1;
+                while (blockEnd < end && (isBlank(lines[blockEnd]) || indentOf(lines[blockEnd]) > indent)) {
+                    blockEnd++;
+                }
+
+                found = index;
+                start = index + 1;
+                end = blockEnd;
+            }
+        }
+
+        return found === null ? null : found + 1;
+    }
+
+    /**
+     * Validates a value against a schema node, collecting diagnostics
+     * @param {*} value - Parsed value
+     * @param {Object} spec - Schema node
+     * @param {Array<string|number>} path - Path to the value
+     * @param {Object[]} diagnostics - Collected diagnostics
+     * @returns {*} The value with invalid parts removed, or undefined if invalid
+     */
+    function check(value, spec, path, diagnostics) {
+        const actual = typeOf(value);
+
+        // An empty key (e.g. "order:" followed only by comments) counts as unset
+        if (actual === 'null') {
+            return spec.nullable ? null : undefined;
+        }
+
+        if (actual !== spec.type) {
+            diagnostics.push({
+                level: 'error',
+                path,
+                message: `expected ${spec.type === 'list' ? 'a list' : `a ${spec.type}`}, got ${actual === 'list' ? 'a list' : actual}`
+            });
+            return undefined;
+        }
+
+        if (spec.type === 'list') {
+            return value
+                .map((item, index) => check(item, spec.of, [...path, index], diagnostics))
+                .filter(item => item !== undefined);
+        }
+
+        if (spec.values && !spec.values.includes(value)) {
+            diagnostics.push({
+                level: 'error',
+                path,
+                message: `expected one of ${spec.values.map(v => `"${v}"`).join(', ')}, got "${value}"`
+            });
+            return undefined;
+        }
+
+        if (spec.type !== 'object') {
+            const problem = spec.check ? spec.check(value) : null;
+            if (problem) {
+                diagnostics.push({ level: 'error', path, message: problem });
+                return undefined;
+            }
+            return value;
+        }
+
+        const known = Object.keys(spec.fields);
+        const result = {};
+
+        Object.keys(value).forEach(key => {
+            // projects.yaml is served with the site, so a token here would be public
+            if (!spec.fields[key] && SECRET_KEY.test(key)) {
+                diagnostics.push({
+                    level: 'error',
+                    path: [...path, key],
+                    message: `"${key}" is ignored: projects.yaml is published with the site, so set GITHUB_TOKEN when running the build instead`
+                });
+                return;
+            }
+
+            if (!spec.fields[key]) {
+                const suggestion = suggest(key, known);
+                diagnostics.push({
+                    level: 'warning',
+                    path: [...path, key],
+                    message: `unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                });
+                return;
+            }
+
+            const checked = check(value[key], spec.fields[key], [...path, key], diagnostics);
+            if (checked !== undefined) {
+                result[key] = checked;
+            }
+        });
+
+        known
+            .filter(key => spec.fields[key].required && result[key] === undefined)
+            .forEach(key => {
+                diagnostics.push({
+                    level: 'error',
+                    fatal: true,
+                    path: [...path, key],
+                    message: `"${key}" is required`
+                });
+            });
+
+        const problem = spec.check ? spec.check(result) : null;
+        if (problem) {
+            diagnostics.push({ level: 'error', path, message: problem });
+            return undefined;
+        }
+
+        return result;
+    }
+
+    /**
+     * Validates parsed projects.yaml content
+     * @param {*} raw - Value returned by jsyaml.load
+     * @param {string} source - Raw YAML text, used to locate problems
+     * @returns {{value: Object, diagnostics: Object[]}} Cleaned config and problems found
+     */
+    function validate(raw, source) {
+        const diagnostics = [];
+        let value = check(raw === undefined || raw === null ? {} : raw, ROOT, [], diagnostics);
+
+        if (value === undefined) {
+            diagnostics.forEach(diagnostic => { diagnostic.fatal = true; });
+            value = {};
+        }
+
+        diagnostics.forEach(diagnostic => {
+            diagnostic.line = findLine(source, diagnostic.path);
+        });
+
+        return { value, diagnostics };
+    }
+
+    /**
+     * Formats a diagnostic for display
+     * @param {Object} diagnostic - Diagnostic from validate()
+     * @returns {string} Human readable message
+     */
+    function format(diagnostic) {
+        const location = diagnostic.line ? `projects.yaml:${diagnostic.line}` : 'projects.yaml';
+        const path = diagnostic.path && diagnostic.path.length ? ` ${formatPath(diagnostic.path)}:` : '';
+        return `${location}:${path} ${diagnostic.message}`;
+    }
+
+    return {
+        validate,
+        findLine,
+        format
+    };
+})();
@@ -0,0 +1,317 @@
+/**
+ * Search module for Project Hub
+ * Parses query syntax and ranks projects with typo-tolerant matching
+ *
+ * Query syntax:
+ *   focus timer        every word must match somewhere (typos allowed)
+ *   "focus timer"      exact phrase
+ *   lang:python        primary language
+ *   tag:cli            tag
+ *   repo:max           repository name contains
+ *   is:archived        archived repos only
+ *   -archived          hide archived repos
+ *   -word / -tag:cli   exclude matches
+ */
+
+const Search = (function() {
+    // How much a match in each field counts towards the score
+    const FIELD_WEIGHTS = {
+        name: 10,
+        repo: 8,
+        tags: 6,
+        language: 5,
+        description: 3
+    };
+
+    const FIELD_OPERATORS = ['lang', 'language', 'tag', 'repo', 'is'];
+    const FLAGS = ['archived'];
+
+    // Match quality by kind, best first
+    const QUALITY = {
+        word: 1,
+        prefix: 0.8,
+        substring: 0.6,
+        fuzzy: 0.4
+    };
+
+    /**
+     * Parses a query string into terms, field filters and flags
+     * @param {string} input - Raw query
+     * @returns {{terms: Object[], filters: Object[], isEmpty: boolean}} Parsed query
+     */
+    function parseQuery(input) {
+        const terms = [];
+        const filters = [];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(input || '')) !== null) {
+            const negated = match[1] === '-';
+            const field = match[2] ? match[2].toLowerCase() : null;
+            const phrase = match[3] !== undefined;
+            const value = (phrase ? match[3] : match[4] || '').toLowerCase().trim();
+
+            if (!value || value === '-') continue;
+
+            if (field && FIELD_OPERATORS.includes(field)) {
+                filters.push({ field: field === 'language' ? 'lang' : field, value, negated });
+            } else if (!field && negated && FLAGS.includes(value)) {
+                filters.push({ field: 'is', value, negated: true });
+            } else {
+                // Unknown "foo:bar" operators are searched as plain text
+                terms.push({ value: field ? `${field}:${value}` : value, phrase, negated });
+            }
+        }
+
+        return { terms, filters, isEmpty: terms.length === 0 && filters.length === 0 };
+    }
+
+    /**
+     * Whether two words are within a small edit distance (scaled by length)
+     * @param {string} a - Query word
+     * @param {string} b - Candidate word
+     * @returns {boolean} True if close enough to count as a typo
+     */
+    function isNearMiss(a, b) {
+        const maxEdits = a.length >= 7 ? 2 : 1;
+        if (Math.abs(a.length - b.length) > maxEdits) {
+            return false;
+        }
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxEdits) return false;
+            previous = current;
+        }
+
+        return previous[b.length] <= maxEdits;
+    }
+
+    /**
+     * Finds how well a term matches a piece of text
+     * @param {Object} term - Parsed term
+     * @param {string} text - Field text
+     * @returns {{quality: number, needle: string}|null} Match quality and the text to highlight
+     */
+    function matchText(term, text) {
+        const haystack = (text || '').toLowerCase();
+        if (!haystack) return null;
+
+        if (term.phrase) {
+            return haystack.includes(term.value) ? { quality: QUALITY.word, needle: term.value } : null;
+        }
+
+        const words = haystack.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+        if (words.includes(term.value)) return { quality: QUALITY.word, needle: term.value };
+        if (words.some(word => word.startsWith(term.value))) return { quality: QUALITY.prefix, needle: term.value };
+        if (haystack.includes(term.value)) return { quality: QUALITY.substring, needle: term.value };
+
+        if (term.value.length >= 4) {
+            const near = words.find(word => isNearMiss(term.value, word));
+            if (near) return { quality: QUALITY.fuzzy, needle: near };
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the searchable text of each field of a project
+     * @param {Object} project - Project object
+     * @returns {Object<string, string>} Field name => text
+     */
+    function getFields(project) {
+        return {
+            name: project.name,
+            repo: project.repo || '',
+            tags: (project.tags || []).join(' '),
+            language: project.language || '',
+            description: project.description || ''
+        };
+    }
+
+    /**
+     * Whether a project passes a field filter
+     * @param {Object} project - Project object
+     * @param {Object} filter - Parsed filter
+     * @returns {boolean} True if the project passes
+     */
+    function passesFilter(project, filter) {
+        let matches;
+
+        switch (filter.field) {
+            case 'lang':
+                matches = (project.language || '').toLowerCase() === filter.value;
+                break;
+            case 'tag':
+                matches = (project.tags || []).includes(filter.value);
+                break;
+            case 'repo':
+                matches = (project.repo || '').toLowerCase().includes(filter.value);
+                break;
+            case 'is':
+                matches = Boolean(project[filter.value]);
+                break;
+            default:
+                matches = true;
+        }
+
+        return filter.negated ? !matches : matches;
+    }
+
+    /**
+     * Scores a project against a parsed query
+     * @param {Object} project - Project object
+     * @param {Object} query - Result of parseQuery
+     * @returns {{score: number, highlights: Object<string, string[]>}|null} Score and
+     *          per-field text to highlight, or null if the project does not match
+     */
+    function scoreProject(project, query) {
+        if (!query.filters.every(filter => passesFilter(project, filter))) {
+            return null;
+        }
+
+        const fields = getFields(project);
+        const highlights = { name: [], description: [] };
+        let score = 0;
+
+        for (const term of query.terms) {
+            let best = 0;
+
+            Object.keys(FIELD_WEIGHTS).forEach(field => {
+                const match = matchText(term, fields[field]);
+                if (!match) return;
+
+                // Exclusions ignore typo matches so "-test" doesn't hide "text"
+                if (term.negated) {
+                    if (match.quality > QUALITY.fuzzy) best = 1;
+                    return;
+                }
+
+                best = Math.max(best, FIELD_WEIGHTS[field] * match.quality);
+                if (highlights[field]) {
+                    highlights[field].push(match.needle);
+                }
+            });
+
+            if (term.negated ? best > 0 : best === 0) {
+                return null;
+            }
+
+            score += term.negated ? 0 : best;
+        }
+
+        return { score, highlights };
+    }
+
+    /**
+     * Filters and ranks projects for a query, best match first
+     * An empty query keeps every project in its original order.
+     * @param {Object[]} projects - Projects to search
+     * @param {string|Object} query - Raw query or result of parseQuery
+     * @returns {{project: Object, score: number, highlights: Object}[]} Ranked results
+     */
+    function search(projects, query) {
+        const parsed = typeof query === 'string' ? parseQuery(query) : query;
+
+        return projects
+            .map((project, index) => ({ project, index, result: scoreProject(project, parsed) }))
+            .filter(entry => entry.result)
+            .sort((a, b) => b.result.score - a.result.score || a.index - b.index)
+            .map(entry => ({ project: entry.project, ...entry.result }));
+    }
+
+    /**
+     * Lowercases text, keeping track of where each lowercased code unit came from
+     * Some characters change length when lowercased ("İ" becomes two code
+     * units), so indexes into the lowercased text can't slice the original.
+     * @param {string} text - Original text
+     * @returns {{lower: string, starts: number[], ends: number[]}} Lowercased text, plus the
+     *          start and end in the original of the character behind each code unit
+     */
+    function lowerWithOffsets(text) {
+        const whole = text.toLowerCase();
+        const starts = [];
+        const ends = [];
+
+        // Usually nothing changes length, and lowercasing the whole string keeps
+        // context-dependent forms (such as a final sigma) matching the search
+        if (whole.length === text.length) {
+            for (let i = 0; i < text.length; i++) {
+                starts.push(i);
+                ends.push(i + 1);
+            }
+            return { lower: whole, starts, ends };
+        }
+
+        let lower = '';
+        let index = 0;
+
+        for (const char of text) {
+            const lowered = char.toLowerCase();
+            for (let i = 0; i < lowered.length; i++) {
+                starts.push(index);
+                ends.push(index + char.length);
+            }
+            lower += lowered;
+            index += char.length;
+        }
+
+        return { lower, starts, ends };
+    }
+
+    /**
+     * Splits text into plain and highlighted segments
+     * @param {string} text - Text to split
+     * @param {string[]} needles - Substrings to highlight (case-insensitive)
+     * @returns {{text: string, match: boolean}[]} Segments in order
+     */
+    function highlight(text, needles) {
+        const { lower, starts, ends } = lowerWithOffsets(text || '');
+        const ranges = [];
+
+        (needles || []).forEach(needle => {
+            if (!needle) return;
+            let from = lower.indexOf(needle);
+            while (from !== -1) {
+                ranges.push([starts[from], ends[from + needle.length - 1]]);
+                from = lower.indexOf(needle, from + needle.length);
+            }
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const segments = [];
+        let cursor = 0;
+
+        ranges.forEach(([start, end]) => {
+            if (end <= cursor) return;
+            start = Math.max(start, cursor);
+            if (start > cursor) segments.push({ text: text.slice(cursor, start), match: false });
+            segments.push({ text: text.slice(start, end), match: true });
+            cursor = end;
+        });
+
+        if (cursor < (text || '').length) {
+            segments.push({ text: text.slice(cursor), match: false });
+        }
+
+        return segments;
+    }
+
+    return {
+        parseQuery,
+        search,
+        highlight
+    };
+})();
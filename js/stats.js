@@ -0,0 +1,325 @@
+/**
+ * Stats view for Project Hub
+ * Summarizes the merged project list: totals, a timeline of when each
+ * project was created and last pushed, a language breakdown and projects
+ * that have gone stale. Charts are inline SVG built with DOM APIs.
+ */
+
+const Stats = (function() {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const MONTH = 30 * 24 * 60 * 60 * 1000;
+
+    // Chart geometry in viewBox units; the SVGs scale to the container width
+    const CHART_WIDTH = 720;
+    const LABEL_WIDTH = 180;
+    const ROW_HEIGHT = 26;
+    const AXIS_HEIGHT = 24;
+
+    // Languages beyond this many are folded into "Other"
+    const LANGUAGE_LIMIT = 8;
+
+    const { createElement, formatDate } = Tiles;
+
+    /**
+     * Create an SVG element
+     * @param {string} tag - Tag name
+     * @param {Object} [attributes] - Attribute names and values
+     * @param {string} [text] - Text content (for <text> and <title>)
+     * @returns {SVGElement} Element
+     */
+    function createSvg(tag, attributes = {}, text) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    /**
+     * Create an empty chart sized for its rows
+     * @param {number} height - Height in viewBox units
+     * @param {string} label - Accessible name
+     * @returns {SVGSVGElement} Chart root
+     */
+    function createChart(height, label) {
+        return createSvg('svg', {
+            class: 'stats-chart',
+            viewBox: `0 0 ${CHART_WIDTH} ${height}`,
+            role: 'img',
+            'aria-label': label
+        });
+    }
+
+    /**
+     * Shorten a label to fit the chart's label column
+     * @param {string} text - Label
+     * @returns {string} Label of at most 24 characters
+     */
+    function truncate(text) {
+        return text.length > 24 ? `${text.slice(0, 23)}…` : text;
+    }
+
+    /**
+     * Add up stars, forks and open issues
+     * @param {Object[]} projects - Projects
+     * @returns {{projects: number, stars: number, forks: number, openIssues: number, languages: number}} Totals
+     */
+    function getTotals(projects) {
+        const sum = key => projects.reduce((total, project) => total + (project[key] || 0), 0);
+
+        return {
+            projects: projects.length,
+            stars: sum('stars'),
+            forks: sum('forks'),
+            openIssues: sum('openIssues'),
+            languages: new Set(projects.map(project => project.language).filter(Boolean)).size
+        };
+    }
+
+    /**
+     * Count projects per primary language, largest first
+     * @param {Object[]} projects - Projects
+     * @returns {{language: string, count: number, color: string|null}[]} Breakdown; the
+     *     smallest languages are combined into "Other" and projects without one into "Unknown"
+     */
+    function getLanguageBreakdown(projects) {
+        const counts = new Map();
+        let unknown = 0;
+
+        projects.forEach(project => {
+            if (!project.language) {
+                unknown++;
+                return;
+            }
+            const entry = counts.get(project.language) || { language: project.language, count: 0, color: project.languageColor };
+            entry.count++;
+            counts.set(project.language, entry);
+        });
+
+        const sorted = [...counts.values()].sort((a, b) => b.count - a.count || a.language.localeCompare(b.language));
+        const breakdown = sorted.slice(0, LANGUAGE_LIMIT);
+        const other = sorted.slice(LANGUAGE_LIMIT).reduce((total, entry) => total + entry.count, 0);
+
+        if (other > 0) {
+            breakdown.push({ language: 'Other', count: other, color: null });
+        }
+        if (unknown > 0) {
+            breakdown.push({ language: 'Unknown', count: unknown, color: null });
+        }
+
+        return breakdown;
+    }
+
+    /**
+     * Find projects without a push for the given number of months
+     * Archived projects are finished on purpose, so they are left out.
+     * @param {Object[]} projects - Projects
+     * @param {number} months - Months without a push
+     * @param {number} now - Current time
+     * @returns {Object[]} Stale projects, longest idle first
+     */
+    function getStaleProjects(projects, months, now) {
+        const cutoff = now - months * MONTH;
+
+        return projects
+            .filter(project => !project.archived && Date.parse(project.pushedAt) < cutoff)
+            .sort((a, b) => Date.parse(a.pushedAt) - Date.parse(b.pushedAt));
+    }
+
+    /**
+     * Build the totals row
+     * @param {Object} totals - Result of getTotals()
+     * @returns {HTMLDListElement} Totals list
+     */
+    function createTotals(totals) {
+        const list = createElement('dl', 'stats-totals');
+        const format = new Intl.NumberFormat('en');
+
+        [
+            ['Projects', totals.projects],
+            ['Stars', totals.stars],
+            ['Forks', totals.forks],
+            ['Open issues', totals.openIssues],
+            ['Languages', totals.languages]
+        ].forEach(([label, value]) => {
+            const item = createElement('div', 'stats-total');
+            item.append(createElement('dt', 'stats-total-label', label), createElement('dd', 'stats-total-value', format.format(value)));
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Build the created / last pushed timeline, oldest project first
+     * @param {Object[]} projects - Projects with a creation date
+     * @param {Set<Object>} stale - Projects to draw as stale
+     * @param {number} now - Current time
+     * @returns {SVGSVGElement} Timeline chart
+     */
+    function createTimeline(projects, stale, now) {
+        const rows = [...projects].sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+        const height = AXIS_HEIGHT + rows.length * ROW_HEIGHT;
+        const svg = createChart(height, `Timeline of ${rows.length} projects from creation to last push`);
+
+        // Whole years, so the gridlines land on January 1st
+        const startYear = new Date(Date.parse(rows[0].createdAt)).getFullYear();
+        const start = new Date(startYear, 0, 1).getTime();
+        const span = Math.max(now - start, 1);
+        const x = time => LABEL_WIDTH + ((time - start) / span) * (CHART_WIDTH - LABEL_WIDTH - 8);
+
+        for (let year = startYear; year <= new Date(now).getFullYear(); year++) {
+            const position = x(new Date(year, 0, 1).getTime());
+            svg.append(
+                createSvg('line', { class: 'stats-grid-line', x1: position, x2: position, y1: AXIS_HEIGHT - 6, y2: height }),
+                createSvg('text', { class: 'stats-axis-label', x: position, y: AXIS_HEIGHT - 10, 'text-anchor': 'middle' }, String(year))
+            );
+        }
+
+        rows.forEach((project, index) => {
+            const created = Date.parse(project.createdAt);
+            const pushed = Math.max(Date.parse(project.pushedAt) || created, created);
+            const y = AXIS_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+            const row = createSvg('g', { class: stale.has(project) ? 'stats-timeline-row is-stale' : 'stats-timeline-row' });
+
+            row.append(
+                createSvg('title', {}, `${project.name}: created ${formatDate(created)}, last pushed ${formatDate(pushed)}`),
+                createSvg('text', { class: 'stats-row-label', x: LABEL_WIDTH - 10, y, 'dominant-baseline': 'middle', 'text-anchor': 'end' }, truncate(project.name)),
+                createSvg('line', { class: 'stats-timeline-span', x1: x(created), x2: x(pushed), y1: y, y2: y }),
+                createSvg('circle', { class: 'stats-timeline-created', cx: x(created), cy: y, r: 4 }),
+                createSvg('circle', { class: 'stats-timeline-pushed', cx: x(pushed), cy: y, r: 4 })
+            );
+            svg.appendChild(row);
+        });
+
+        return svg;
+    }
+
+    /**
+     * Build the language bar chart
+     * @param {Object[]} breakdown - Result of getLanguageBreakdown()
+     * @param {number} total - Number of projects
+     * @returns {SVGSVGElement} Language chart
+     */
+    function createLanguageChart(breakdown, total) {
+        const svg = createChart(breakdown.length * ROW_HEIGHT, 'Projects by language');
+        const largest = Math.max(...breakdown.map(entry => entry.count));
+        const barSpace = CHART_WIDTH - LABEL_WIDTH - 90;
+
+        breakdown.forEach((entry, index) => {
+            const y = index * ROW_HEIGHT;
+            const width = Math.max((entry.count / largest) * barSpace, 2);
+            const percent = Math.round((entry.count / total) * 100);
+            const bar = createSvg('rect', { class: 'stats-bar', x: LABEL_WIDTH, y: y + 5, width, height: ROW_HEIGHT - 10, rx: 3 });
+
+            // A presentation attribute, not inline style, so the page's CSP allows it
+            if (entry.color) {
+                bar.setAttribute('fill', entry.color);
+            }
+
+            svg.append(
+                createSvg('text', { class: 'stats-row-label', x: LABEL_WIDTH - 10, y: y + ROW_HEIGHT / 2, 'dominant-baseline': 'middle', 'text-anchor': 'end' }, truncate(entry.language)),
+                bar,
+                createSvg('text', { class: 'stats-bar-value', x: LABEL_WIDTH + width + 8, y: y + ROW_HEIGHT / 2, 'dominant-baseline': 'middle' }, `${entry.count} (${percent}%)`)
+            );
+        });
+
+        return svg;
+    }
+
+    /**
+     * Build the list of stale projects
+     * @param {Object[]} stale - Result of getStaleProjects()
+     * @param {number} months - Stale threshold
+     * @param {Function} getHref - Returns the link for a project
+     * @returns {HTMLElement} List, or a note when nothing is stale
+     */
+    function createStaleList(stale, months, getHref) {
+        if (stale.length === 0) {
+            return createElement('p', 'stats-note', `Every project has been pushed to in the last ${months} months.`);
+        }
+
+        const list = createElement('ul', 'stats-stale');
+        stale.forEach(project => {
+            const item = createElement('li', 'stats-stale-item');
+            const link = createElement('a', 'stats-stale-link', project.name);
+            const time = createElement('time', 'stats-stale-date', `last pushed ${formatDate(project.pushedAt)}`);
+
+            link.href = getHref(project);
+            time.dateTime = project.pushedAt;
+            item.append(link, ' ', time);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Wrap part of the view in a titled section
+     * @param {string} id - Heading id
+     * @param {string} title - Heading text
+     * @param {...Node} children - Section content
+     * @returns {HTMLElement} Section
+     */
+    function createSection(id, title, ...children) {
+        const section = createElement('section', 'stats-section');
+        const heading = createElement('h2', 'stats-title', title);
+        heading.id = id;
+        section.setAttribute('aria-labelledby', id);
+        section.append(heading, ...children);
+        return section;
+    }
+
+    /**
+     * Render the stats view
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object[]} projects - Merged projects (already filtered by the page)
+     * @param {Object} options
+     * @param {number} options.staleMonths - Months without a push before a project is stale
+     * @param {Function} options.getHref - Returns the link for a project in the stale list
+     */
+    function render(container, projects, { staleMonths, getHref }) {
+        if (projects.length === 0) {
+            container.replaceChildren();
+            return;
+        }
+
+        const now = Date.now();
+        const stale = getStaleProjects(projects, staleMonths, now);
+        const dated = projects.filter(project => Date.parse(project.createdAt));
+        const sections = [createTotals(getTotals(projects))];
+
+        if (dated.length > 0) {
+            const chart = createElement('div', 'stats-chart-wrapper');
+            chart.appendChild(createTimeline(dated, new Set(stale), now));
+
+            const legend = createElement('p', 'stats-note', 'Hollow dots mark when a project was created, filled dots its last push.');
+            const undated = projects.length - dated.length;
+            if (undated > 0) {
+                legend.textContent += ` ${undated} project${undated === 1 ? ' has' : 's have'} no dates and ${undated === 1 ? 'is' : 'are'} not shown.`;
+            }
+
+            sections.push(createSection('stats-timeline-title', 'Timeline', chart, legend));
+        }
+
+        const breakdown = getLanguageBreakdown(projects);
+        if (breakdown.length > 0) {
+            const chart = createElement('div', 'stats-chart-wrapper');
+            chart.appendChild(createLanguageChart(breakdown, projects.length));
+            sections.push(createSection('stats-languages-title', 'Languages', chart));
+        }
+
+        sections.push(createSection(
+            'stats-stale-title',
+            `No push in ${staleMonths} month${staleMonths === 1 ? '' : 's'}`,
+            createStaleList(stale, staleMonths, getHref)
+        ));
+
+        container.replaceChildren(...sections);
+    }
+
+    return {
+        render
+    };
+})();
@@ -0,0 +1,27 @@
+/**
+ * Pre-paint theme setup for Project Hub
+ * Loaded synchronously in <head> so the saved light/dark/system choice
+ * is applied before the first paint; App.initTheme takes over afterwards
+ */
+
+(function() {
+    // Same key App uses for the preference (PREFERENCE_PREFIX + 'theme')
+    const STORAGE_KEY = 'project-hub-pref:theme';
+
+    let mode = null;
+    try {
+        mode = window.localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        // Storage disabled - fall back to the system setting
+    }
+
+    if (mode !== 'light' && mode !== 'dark') {
+        mode = 'system';
+    }
+
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const theme = mode === 'system' ? (prefersDark ? 'dark' : 'light') : mode;
+
+    document.documentElement.setAttribute('data-theme', theme);
+    document.documentElement.setAttribute('data-theme-mode', mode);
+})();
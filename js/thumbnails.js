@@ -0,0 +1,157 @@
+/**
+ * Thumbnail resolution for Project Hub
+ * Finds an image for projects without a configured thumbnail:
+ * the deployed site's og:image, then a generated SVG card
+ */
+
+const Thumbnails = (function() {
+    const CARD_WIDTH = 560;
+    const CARD_HEIGHT = 320;
+
+    // Re-check sites for a new og:image at most once a day
+    const CACHE_TTL = 24 * 60 * 60 * 1000;
+
+    /**
+     * Escapes text for use inside SVG markup
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Gets up to two initials from a project name
+     * Splits on spaces, dashes, underscores and camelCase boundaries.
+     * @param {string} name - Project name
+     * @returns {string} Uppercase initials
+     */
+    function getInitials(name) {
+        const words = name
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .split(/[\s\-_.]+/)
+            .filter(word => /^[\p{L}\p{N}]/u.test(word));
+
+        if (words.length === 0) {
+            return '?';
+        }
+
+        return words
+            .slice(0, 2)
+            .map(word => [...word][0].toUpperCase())
+            .join('');
+    }
+
+    /**
+     * Builds a deterministic SVG card for a project
+     * The same name and language always produce the same card.
+     * @param {Object} project - Project with name and optional language
+     * @returns {string} SVG markup
+     */
+    function generateCard(project) {
+        const color = Languages.getColor(project.language) || Languages.getColor(project.name);
+        const name = project.name.length > 32 ? `${project.name.slice(0, 31)}…` : project.name;
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" width="${CARD_WIDTH}" height="${CARD_HEIGHT}">`,
+            '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">',
+            `<stop offset="0" stop-color="${color}"/>`,
+            `<stop offset="1" stop-color="${color}" stop-opacity="0.55"/>`,
+            '</linearGradient></defs>',
+            `<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="#1f2328"/>`,
+            `<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#g)"/>`,
+            `<text x="50%" y="46%" text-anchor="middle" dominant-baseline="middle" font-family="-apple-system, Segoe UI, Helvetica, Arial, sans-serif" font-size="120" font-weight="700" fill="#ffffff" fill-opacity="0.9">${escapeXml(getInitials(project.name))}</text>`,
+            `<text x="50%" y="84%" text-anchor="middle" font-family="-apple-system, Segoe UI, Helvetica, Arial, sans-serif" font-size="28" fill="#ffffff" fill-opacity="0.85">${escapeXml(name)}</text>`,
+            '</svg>'
+        ].join('');
+    }
+
+    /**
+     * Encodes SVG markup as a data URI usable in <img src>
+     * @param {string} svg - SVG markup
+     * @returns {string} data: URI
+     */
+    function toDataUri(svg) {
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    /**
+     * Finds the og:image (or twitter:image) declared in an HTML page
+     * @param {string} html - Page HTML
+     * @param {string} pageUrl - URL the page was loaded from, for relative images
+     * @returns {string|null} Absolute image URL, or null if none is declared
+     */
+    function findOgImage(html, pageUrl) {
+        const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+
+        for (const property of ['og:image', 'og:image:url', 'twitter:image']) {
+            for (const tag of metaTags) {
+                const key = tag.match(/\b(?:property|name)\s*=\s*["']([^"']+)["']/i);
+                const content = tag.match(/\bcontent\s*=\s*["']([^"']+)["']/i);
+
+                if (key && content && key[1].toLowerCase() === property) {
+                    try {
+                        const url = new URL(content[1].trim(), pageUrl);
+                        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+                    } catch (error) {
+                        return null;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Fetches a page and returns its og:image
+     * @param {string} pageUrl - Page to inspect
+     * @returns {Promise<string|null>} Image URL, or null if none (or the page can't be read)
+     */
+    async function fetchOgImage(pageUrl) {
+        try {
+            const response = await fetch(pageUrl);
+            if (!response.ok) {
+                return null;
+            }
+            return findOgImage(await response.text(), response.url || pageUrl);
+        } catch (error) {
+            // Sites that block cross-origin reads can't be inspected from the browser
+            return null;
+        }
+    }
+
+    /**
+     * Finds the deployed site's og:image for a project, caching the answer
+     * @param {Object} project - Project with a site URL
+     * @returns {Promise<string|null>} Image URL, or null if none was found
+     */
+    async function resolveSiteImage(project) {
+        if (!/^https?:/i.test(project.url || '')) {
+            return null;
+        }
+
+        const cached = ApiCache.getThumbnail(project.url);
+        if (cached && Date.now() - cached.checkedAt < CACHE_TTL) {
+            return cached.image;
+        }
+
+        const image = await fetchOgImage(project.url);
+        ApiCache.setThumbnail(project.url, { image, checkedAt: Date.now() });
+        return image;
+    }
+
+    return {
+        generateCard,
+        toDataUri,
+        getInitials,
+        findOgImage,
+        fetchOgImage,
+        resolveSiteImage
+    };
+})();
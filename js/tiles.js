@@ -0,0 +1,555 @@
+/**
+ * Project tiles for Project Hub
+ * Builds the tiles shared by the main page and the <project-hub> widget,
+ * and the table rows of the page's list layout.
+ * Everything is created with DOM APIs, so names, descriptions and URLs from
+ * projects.yaml or an API response are never parsed as markup.
+ */
+
+const Tiles = (function() {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const OUTLINE = {
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': '2',
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round'
+    };
+
+    // Icon attributes and child shapes as [tag, attributes]
+    const ICONS = {
+        placeholder: {
+            attributes: { ...OUTLINE, 'stroke-width': '1.5' },
+            shapes: [
+                ['polyline', { points: '16 18 22 12 16 6' }],
+                ['polyline', { points: '8 6 2 12 8 18' }]
+            ]
+        },
+        github: {
+            attributes: { fill: 'currentColor' },
+            shapes: [
+                ['path', { d: 'M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z' }]
+            ]
+        },
+        star: {
+            attributes: OUTLINE,
+            shapes: [
+                ['polygon', { points: '12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2' }]
+            ]
+        },
+        fork: {
+            attributes: OUTLINE,
+            shapes: [
+                ['circle', { cx: '6', cy: '5', r: '2' }],
+                ['circle', { cx: '18', cy: '5', r: '2' }],
+                ['circle', { cx: '12', cy: '19', r: '2' }],
+                ['path', { d: 'M6 7v2a3 3 0 0 0 3 3h6a3 3 0 0 0 3-3V7M12 12v5' }]
+            ]
+        },
+        issue: {
+            attributes: OUTLINE,
+            shapes: [
+                ['circle', { cx: '12', cy: '12', r: '9' }],
+                ['circle', { cx: '12', cy: '12', r: '1' }]
+            ]
+        }
+    };
+
+    // List layout columns: `sort` is the sort mode the header sets,
+    // `display` the flag under `display:` in projects.yaml that hides the column
+    const COLUMNS = [
+        { key: 'name', label: 'Project', sort: 'name' },
+        { key: 'language', label: 'Language', display: 'language' },
+        { key: 'stars', label: 'Stars', sort: 'stars', display: 'stars' },
+        { key: 'release', label: 'Release', display: 'release' },
+        { key: 'updated', label: 'Updated', sort: 'updated', display: 'updated' },
+        { key: 'created', label: 'Created', sort: 'created' }
+    ];
+
+    /**
+     * Create an element with an optional class and text
+     * @param {string} tag - Tag name
+     * @param {string} [className] - CSS class
+     * @param {string} [text] - Text content
+     * @returns {HTMLElement} Element
+     */
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    /**
+     * Create a decorative SVG icon
+     * @param {string} name - placeholder | github | star | fork | issue
+     * @param {string} [className] - CSS class
+     * @returns {SVGElement} Icon element
+     */
+    function createIcon(name, className) {
+        const icon = ICONS[name];
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        const attributes = { viewBox: '0 0 24 24', ...icon.attributes, 'aria-hidden': 'true' };
+
+        if (className) {
+            svg.setAttribute('class', className);
+        }
+        Object.entries(attributes).forEach(([key, value]) => svg.setAttribute(key, value));
+
+        icon.shapes.forEach(([tag, shapeAttributes]) => {
+            const shape = document.createElementNS(SVG_NS, tag);
+            Object.entries(shapeAttributes).forEach(([key, value]) => shape.setAttribute(key, value));
+            svg.appendChild(shape);
+        });
+
+        return svg;
+    }
+
+    /**
+     * Create the placeholder shown when a project has no image
+     * @returns {HTMLElement} Placeholder element
+     */
+    function createPlaceholder() {
+        const placeholder = createElement('div', 'tile-placeholder');
+        placeholder.appendChild(createIcon('placeholder'));
+        return placeholder;
+    }
+
+    /**
+     * Format a count compactly (e.g. 1200 -> "1.2k")
+     * @param {number} count - Number to format
+     * @returns {string} Formatted count
+     */
+    function formatCount(count) {
+        return new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(count);
+    }
+
+    /**
+     * Format a date for display (e.g. "Mar 3, 2025")
+     * @param {string|number} date - ISO 8601 date or timestamp
+     * @returns {string} Formatted date
+     */
+    function formatDate(date) {
+        return new Date(date).toLocaleDateString('en', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Format a date relative to now (e.g. "3 days ago")
+     * @param {string} isoDate - ISO 8601 date
+     * @returns {string} Relative time
+     */
+    function formatRelativeTime(isoDate) {
+        const seconds = (Date.parse(isoDate) - Date.now()) / 1000;
+        const units = [
+            ['year', 365 * 24 * 3600],
+            ['month', 30 * 24 * 3600],
+            ['week', 7 * 24 * 3600],
+            ['day', 24 * 3600],
+            ['hour', 3600],
+            ['minute', 60]
+        ];
+        const formatter = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+
+        for (const [unit, size] of units) {
+            if (Math.abs(seconds) >= size) {
+                return formatter.format(Math.round(seconds / size), unit);
+            }
+        }
+
+        return 'just now';
+    }
+
+    /**
+     * Create a <time> element with the full date as its tooltip
+     * @param {string} isoDate - ISO 8601 date
+     * @param {Function} format - Turns the date into the visible text
+     * @param {string} [className] - CSS class
+     * @returns {HTMLTimeElement|null} Time element, or null for a missing or invalid date
+     */
+    function createTime(isoDate, format, className) {
+        const date = isoDate ? new Date(isoDate) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+            return null;
+        }
+
+        const time = createElement('time', className, format(isoDate));
+        time.dateTime = date.toISOString();
+        time.title = date.toLocaleString();
+        return time;
+    }
+
+    /**
+     * Append a project's language, with its color dot, to an element
+     * @param {HTMLElement} element - Metadata item or table cell
+     * @param {Object} project - Project data with a language
+     */
+    function appendLanguage(element, project) {
+        const dot = createElement('span', 'tile-language-dot');
+        // Set through the CSSOM, which drops invalid colors and needs no inline style permission
+        dot.style.backgroundColor = project.languageColor || '';
+        element.append(dot, project.language);
+    }
+
+    /**
+     * Create a metadata item with an icon and a compact count
+     * @param {string} icon - star | fork | issue
+     * @param {number} count - Full count
+     * @param {string} label - Noun for the tooltip (e.g. "stars")
+     * @returns {HTMLLIElement} List item
+     */
+    function createCountItem(icon, count, label) {
+        const item = createElement('li', 'tile-meta-item');
+        item.title = `${count} ${label}`;
+        item.append(createIcon(icon, 'tile-meta-icon'), formatCount(count));
+        return item;
+    }
+
+    /**
+     * Build the compact metadata row for a tile
+     * Fields are skipped when missing or turned off under `display:` in projects.yaml.
+     * @param {Object} project - Project data
+     * @returns {HTMLUListElement|null} Metadata list, or null if there is nothing to show
+     */
+    function createMetadata(project) {
+        const display = Config.getDisplay();
+        const items = [];
+
+        if (project.status === 'offline') {
+            const offline = createElement('li', 'tile-meta-item tile-offline', 'Offline');
+            offline.title = 'The deployed site is not responding';
+            items.push(offline);
+        }
+
+        if (display.archived && project.archived) {
+            items.push(createElement('li', 'tile-meta-item tile-archived', 'Archived'));
+        }
+        if (display.language && project.language) {
+            const item = createElement('li', 'tile-meta-item');
+            appendLanguage(item, project);
+            items.push(item);
+        }
+        if (display.stars && project.stars) {
+            items.push(createCountItem('star', project.stars, 'stars'));
+        }
+        if (display.forks && project.forks) {
+            items.push(createCountItem('fork', project.forks, 'forks'));
+        }
+        if (display.issues && project.openIssues) {
+            items.push(createCountItem('issue', project.openIssues, 'open issues'));
+        }
+        if (display.license && project.license) {
+            items.push(createElement('li', 'tile-meta-item', project.license));
+        }
+        const updated = display.updated && createTime(project.pushedAt, date => `updated ${formatRelativeTime(date)}`);
+        if (updated) {
+            const item = createElement('li', 'tile-meta-item');
+            item.appendChild(updated);
+            items.push(item);
+        }
+
+        if (items.length === 0) {
+            return null;
+        }
+
+        const list = createElement('ul', 'tile-meta');
+        list.append(...items);
+        return list;
+    }
+
+    /**
+     * Build the version badge row: version, release date and Download link
+     * @param {Object} project - Project data with `release` (see GitHubAPI.getProjects)
+     * @param {Object} options
+     * @param {boolean} [options.roving] - Leave tab stops to the grid's roving focus
+     * @returns {HTMLElement|null} Release row, or null without a release or when turned off
+     */
+    function createRelease(project, options = {}) {
+        const release = project.release;
+        if (!release || !Config.getDisplay().release) {
+            return null;
+        }
+
+        const row = createElement('div', 'tile-release');
+        const version = createElement('span', 'tile-version', release.tag);
+        version.title = release.name && release.name !== release.tag
+            ? `Latest release: ${release.name}`
+            : `Latest ${release.publishedAt ? 'release' : 'tag'}: ${release.tag}`;
+        row.appendChild(version);
+
+        const time = createTime(release.publishedAt, formatRelativeTime, 'tile-release-date');
+        if (time) {
+            time.title = `Released ${time.title}`;
+            row.appendChild(time);
+        }
+
+        const downloadUrl = release.download && Sanitizer.cleanUrl(release.download.url);
+        if (downloadUrl) {
+            const download = createElement('a', 'tile-download', 'Download');
+            download.href = downloadUrl;
+            download.rel = 'noopener noreferrer';
+            download.setAttribute('aria-label', `Download ${release.download.name} (${project.name} ${release.tag})`);
+            download.title = release.download.name;
+            if (options.roving) {
+                download.setAttribute('tabindex', '-1');
+            }
+            row.appendChild(download);
+        }
+
+        return row;
+    }
+
+    /**
+     * Build the tag pills for a project
+     * @param {string[]} tags - Tags to show
+     * @param {string} [className] - Extra CSS class for the list
+     * @returns {HTMLUListElement} Tag list
+     */
+    function createTagList(tags, className) {
+        const list = createElement('ul', className ? `tile-tags ${className}` : 'tile-tags');
+        tags.forEach(tag => list.appendChild(createElement('li', 'tile-tag', tag)));
+        return list;
+    }
+
+    /**
+     * Get the generated card for a project, if cards are enabled
+     * @param {Object} project - Project data
+     * @returns {string|null} data: URI of the card, or null
+     */
+    function getFallbackThumbnail(project) {
+        if (!Config.getThumbnailOptions().generate) {
+            return null;
+        }
+        return Thumbnails.toDataUri(Thumbnails.generateCard(project));
+    }
+
+    /**
+     * Create the tile image, falling back to the generated card (or placeholder)
+     * when the image is missing, disallowed or fails to load
+     * @param {Object} project - Project data
+     * @returns {HTMLElement} Image or placeholder (decorative - the name labels the tile)
+     */
+    function createThumbnail(project) {
+        const fallback = getFallbackThumbnail(project);
+        const src = Sanitizer.cleanUrl(project.thumbnail) || fallback;
+
+        if (!src) {
+            return createPlaceholder();
+        }
+
+        const image = createElement('img', 'tile-thumbnail');
+        image.src = src;
+        image.alt = '';
+        image.loading = 'lazy';
+
+        image.addEventListener('error', () => {
+            if (fallback && image.getAttribute('src') !== fallback) {
+                image.src = fallback;
+            } else {
+                image.replaceWith(createPlaceholder());
+            }
+        });
+
+        return image;
+    }
+
+    /**
+     * Create the link that covers a tile or row
+     * @param {Object} project - Project data
+     * @param {Object} options - Tile options (see createTile)
+     * @returns {HTMLAnchorElement} Link labelled with the project name
+     */
+    function createLink(project, options) {
+        const link = createElement('a', 'tile-link', project.name);
+        const href = Sanitizer.cleanUrl(options.href);
+
+        if (href) {
+            link.href = href;
+        }
+        if (options.newTab) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        if (options.roving) {
+            link.setAttribute('tabindex', '-1');
+        }
+        if (options.describedBy) {
+            link.setAttribute('aria-describedby', options.describedBy);
+        }
+
+        return link;
+    }
+
+    /**
+     * Create the source repo link - a sibling of the tile link; with roving
+     * focus it is reached by Shift+Enter so the grid stays a single tab stop
+     * @param {Object} project - Project data
+     * @param {Object} options - Tile options (see createTile)
+     * @returns {HTMLAnchorElement|null} Repo link, or null without a usable repo URL
+     */
+    function createRepoLink(project, options) {
+        const repoUrl = Sanitizer.cleanUrl(project.repoUrl);
+        if (!repoUrl) {
+            return null;
+        }
+
+        const host = Providers.getLabel(project.provider);
+        const repoLink = createElement('a', 'tile-repo-link');
+        repoLink.href = repoUrl;
+        repoLink.target = '_blank';
+        repoLink.rel = 'noopener noreferrer';
+        repoLink.setAttribute('aria-label', `View ${project.name} source${host ? ` on ${host}` : ''}`);
+        if (options.roving) {
+            repoLink.setAttribute('tabindex', '-1');
+        }
+        repoLink.appendChild(createIcon(project.provider === 'github' ? 'github' : 'placeholder'));
+        return repoLink;
+    }
+
+    /**
+     * Create a project tile element
+     * Links and images only use http(s) or relative URLs (see Sanitizer.cleanUrl).
+     * @param {Object} project - Project data
+     * @param {Object} options
+     * @param {string} options.href - Where the tile links to
+     * @param {boolean} [options.newTab] - Open the tile link in a new tab
+     * @param {boolean} [options.showOwner] - Show the owner above the name
+     * @param {boolean} [options.roving] - Leave tab stops to the grid's roving focus
+     * @param {string} [options.describedBy] - Id of the keyboard help text
+     * @returns {HTMLElement} Tile element
+     */
+    function createTile(project, options) {
+        const isOffline = project.status === 'offline';
+        const tile = createElement('article', isOffline ? 'project-tile is-offline' : 'project-tile');
+        const content = createElement('div', 'tile-content');
+
+        if (options.showOwner && project.owner) {
+            content.appendChild(createElement('p', 'tile-owner', project.owner));
+        }
+
+        const header = createElement('div', 'tile-header');
+        const heading = createElement('h3', 'tile-name');
+        heading.appendChild(createLink(project, options));
+        header.appendChild(heading);
+
+        const repoLink = createRepoLink(project, options);
+        if (repoLink) {
+            header.appendChild(repoLink);
+        }
+
+        content.append(header, createElement('p', 'tile-description', project.description || 'No description available'));
+
+        const metadata = createMetadata(project);
+        if (metadata) {
+            content.appendChild(metadata);
+        }
+        const release = createRelease(project, options);
+        if (release) {
+            content.appendChild(release);
+        }
+        if (project.tags && project.tags.length > 0) {
+            content.appendChild(createTagList(project.tags));
+        }
+
+        tile.append(createThumbnail(project), content);
+        return tile;
+    }
+
+    /**
+     * Get the list layout columns, leaving out those turned off under `display:`
+     * @returns {{key: string, label: string, sort?: string}[]} Columns in display order
+     */
+    function getColumns() {
+        const display = Config.getDisplay();
+        return COLUMNS.filter(column => !column.display || display[column.display]);
+    }
+
+    /**
+     * Fill the name cell of a list row: owner, link, status, source link and description
+     * @param {HTMLElement} cell - Row header cell
+     * @param {Object} project - Project data
+     * @param {Object} options - Tile options (see createTile)
+     */
+    function fillNameCell(cell, project, options) {
+        if (options.showOwner && project.owner) {
+            cell.appendChild(createElement('p', 'tile-owner', project.owner));
+        }
+
+        const header = createElement('div', 'row-header');
+        header.appendChild(createLink(project, options));
+
+        if (project.status === 'offline') {
+            header.appendChild(createElement('span', 'tile-offline', 'Offline'));
+        }
+        if (Config.getDisplay().archived && project.archived) {
+            header.appendChild(createElement('span', 'tile-archived', 'Archived'));
+        }
+
+        const repoLink = createRepoLink(project, options);
+        if (repoLink) {
+            header.appendChild(repoLink);
+        }
+
+        cell.append(header, createElement('p', 'tile-description', project.description || 'No description available'));
+    }
+
+    /**
+     * Create a table row for the list layout
+     * Keeps the tile's link and description classes, so search highlighting
+     * and keyboard navigation treat rows and tiles alike.
+     * @param {Object} project - Project data
+     * @param {Object} options - Same options as createTile
+     * @returns {HTMLTableRowElement} Row element
+     */
+    function createRow(project, options) {
+        const row = createElement('tr', project.status === 'offline' ? 'project-row is-offline' : 'project-row');
+
+        getColumns().forEach(column => {
+            const cell = createElement(column.key === 'name' ? 'th' : 'td', `row-${column.key}`);
+
+            if (column.key === 'name') {
+                cell.scope = 'row';
+                fillNameCell(cell, project, options);
+            } else if (column.key === 'language' && project.language) {
+                appendLanguage(cell, project);
+            } else if (column.key === 'stars' && typeof project.stars === 'number') {
+                cell.textContent = formatCount(project.stars);
+                cell.title = `${project.stars} stars`;
+            } else if (column.key === 'release') {
+                const release = createRelease(project, options);
+                if (release) {
+                    cell.appendChild(release);
+                }
+            } else if (column.key === 'updated') {
+                const time = createTime(project.pushedAt, formatRelativeTime);
+                if (time) {
+                    cell.appendChild(time);
+                }
+            } else if (column.key === 'created') {
+                const time = createTime(project.createdAt, date => new Date(date).toLocaleDateString('en', { year: 'numeric', month: 'short' }));
+                if (time) {
+                    cell.appendChild(time);
+                }
+            }
+
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    return {
+        createTile,
+        createRow,
+        getColumns,
+        createMetadata,
+        createRelease,
+        createTagList,
+        createElement,
+        formatDate
+    };
+})();
@@ -0,0 +1,255 @@
+/**
+ * <project-hub> web component for Project Hub
+ * Renders project tiles inside a shadow root so the list can be embedded
+ * in other sites. index.html uses it in `manual` mode and renders into it.
+ *
+ *   <project-hub username="octocat" limit="6" tags="cli" sort="stars" compact></project-hub>
+ *   <project-hub config="https://octocat.github.io/project-aggregator/projects.yaml"></project-hub>
+ */
+
+const ProjectHub = (function() {
+    // Resolved while this script runs, so embeds on other sites find the stylesheet
+    const SCRIPT_URL = (document.currentScript && document.currentScript.src) || window.location.href;
+    const STYLESHEET = new URL('../css/styles.css', SCRIPT_URL).href;
+
+    // Build-time snapshot, looked for next to a remote projects.yaml
+    const SNAPSHOT_FILE = 'projects.json';
+
+    // Loads run one at a time, as each swaps its widget's config in across awaits
+    let queue = Promise.resolve();
+
+    /**
+     * Run a task once the loads queued before it have finished
+     * @param {Function} task - Async work
+     * @returns {Promise<*>} Task result
+     */
+    function enqueue(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Run a task with a widget's own config in place of the shared one
+     * Config is a single module, so a second widget (or index.html) would
+     * otherwise read the first widget's username and sources.
+     * @param {ProjectHubElement} widget - Widget whose config to use
+     * @param {Function} task - Work that reads Config; may return a promise
+     * @returns {*} Task result
+     */
+    function withConfig(widget, task) {
+        const previous = Config.getState();
+        Config.setState(widget.config);
+
+        const restore = () => {
+            widget.config = Config.getState();
+            Config.setState(previous);
+        };
+
+        let result;
+        try {
+            result = task();
+        } catch (error) {
+            restore();
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.finally(restore);
+        }
+
+        restore();
+        return result;
+    }
+
+    /**
+     * Get the URL a widget tile should open
+     * @param {Object} project - Project data
+     * @returns {string} Site URL, or the source for an offline site
+     */
+    function getTileUrl(project) {
+        return (project.status === 'offline' && project.repoUrl) || project.url || '#';
+    }
+
+    /**
+     * Resolve a project's relative thumbnail against the config location
+     * so images from projects.yaml still load when embedded elsewhere
+     * @param {Object} project - Project data
+     * @param {URL} base - Location of projects.yaml
+     * @returns {Object} Project with an absolute thumbnail URL
+     */
+    function resolveThumbnail(project, base) {
+        return project.thumbnail
+            ? { ...project, thumbnail: new URL(project.thumbnail, base).href }
+            : project;
+    }
+
+    class ProjectHubElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['limit', 'tags', 'sort', 'compact'];
+        }
+
+        constructor() {
+            super();
+            this.projects = null;
+            this.loading = null;
+            this.config = null;
+
+            const stylesheet = document.createElement('link');
+            stylesheet.rel = 'stylesheet';
+            stylesheet.href = STYLESHEET;
+
+            this.container = document.createElement('div');
+            this.container.className = 'projects';
+            this.container.setAttribute('part', 'projects');
+
+            this.attachShadow({ mode: 'open' }).append(stylesheet, this.container);
+        }
+
+        /**
+         * Start loading when added to the page, unless the page renders into us itself
+         */
+        connectedCallback() {
+            if (!this.hasAttribute('manual') && !this.loading) {
+                this.loading = this.load();
+            }
+        }
+
+        /**
+         * Re-render when a display attribute changes
+         */
+        attributeChangedCallback() {
+            if (this.projects) {
+                this.render();
+            }
+        }
+
+        /**
+         * Load this widget's own config and projects, once earlier widgets have loaded
+         * @returns {Promise<void>}
+         */
+        load() {
+            return enqueue(() => withConfig(this, () => this.loadProjects()));
+        }
+
+        /**
+         * Load the config and projects: snapshot or cache first, then the live API
+         * Runs with this widget's config swapped in (see load).
+         * @returns {Promise<void>}
+         */
+        async loadProjects() {
+            const configUrl = this.getAttribute('config');
+            const base = new URL(configUrl || window.location.href, window.location.href);
+
+            try {
+                if (configUrl) {
+                    await Config.load(base.href);
+                } else {
+                    Config.use({ username: this.getAttribute('username') });
+                }
+
+                // Renders during the load below swap this state back in
+                this.config = Config.getState();
+            } catch (error) {
+                console.error('<project-hub> could not load its config:', error.message);
+                this.showMessage('Unable to load projects');
+                return;
+            }
+
+            const staticProjects = configUrl
+                ? await GitHubAPI.getStaticProjects(new URL(SNAPSHOT_FILE, base).href)
+                : null;
+            const localProjects = GitHubAPI.mergeSnapshot(GitHubAPI.getCachedProjects(), staticProjects);
+            const cached = [staticProjects, localProjects]
+                .filter(Boolean)
+                .sort((a, b) => b.savedAt - a.savedAt)[0] || null;
+
+            if (cached) {
+                this.show(cached.projects, base);
+
+                if (!Config.getLiveRefresh()) {
+                    return;
+                }
+            }
+
+            try {
+                // The widget has no header, so skip the profile request
+                const live = await GitHubAPI.getProjects(null, { profile: false });
+                const { projects } = GitHubAPI.mergeSnapshot(live, staticProjects);
+                this.show(projects, base);
+
+                // Badges fill in once their (cached) lookups finish
+                if (Config.getReleaseOptions().enabled) {
+                    this.show(await GitHubAPI.addReleases(projects), base);
+                }
+            } catch (error) {
+                if (cached) {
+                    return;
+                }
+
+                console.warn('<project-hub> could not reach the GitHub API, showing manual projects:', error.message);
+                this.show((await GitHubAPI.getManualProjectsOnly()).projects, base);
+            }
+        }
+
+        /**
+         * Store a loaded project list and render it
+         * @param {Object[]} projects - Projects from GitHubAPI
+         * @param {URL} base - Location of projects.yaml
+         */
+        show(projects, base) {
+            this.projects = projects.map(project => resolveThumbnail(project, base));
+            this.render();
+        }
+
+        /**
+         * Render the tiles with this widget's config
+         */
+        render() {
+            withConfig(this, () => this.renderTiles());
+        }
+
+        /**
+         * Render the tiles, applying the tags, sort, limit and compact attributes
+         */
+        renderTiles() {
+            const tags = Config.normalizeTags((this.getAttribute('tags') || '').split(','));
+            const limit = parseInt(this.getAttribute('limit'), 10);
+
+            let projects = GitHubAPI.sortProjects(this.projects, this.getAttribute('sort') || Config.getDefaultSort());
+
+            if (tags.length > 0) {
+                projects = projects.filter(project => tags.some(tag => (project.tags || []).includes(tag)));
+            }
+            if (limit > 0) {
+                projects = projects.slice(0, limit);
+            }
+
+            const showOwner = new Set(projects.map(project => project.owner).filter(Boolean)).size > 1;
+            const grid = document.createElement('div');
+            grid.className = 'project-grid';
+
+            projects.forEach(project => {
+                grid.appendChild(Tiles.createTile(project, { href: getTileUrl(project), newTab: true, showOwner }));
+            });
+
+            this.container.classList.toggle('is-compact', this.hasAttribute('compact'));
+            this.container.replaceChildren(grid);
+        }
+
+        /**
+         * Replace the tiles with a short message
+         * @param {string} text - Message to show
+         */
+        showMessage(text) {
+            const message = document.createElement('p');
+            message.className = 'no-results visible';
+            message.textContent = text;
+            this.container.replaceChildren(message);
+        }
+    }
+
+    customElements.define('project-hub', ProjectHubElement);
+
+    return ProjectHubElement;
+})();
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Static snapshot generator for Project Hub
+ * Resolves projects.yaml plus GitHub discovery into projects.json,
+ * which the page renders before (or instead of) calling the live API
+ *
+ * Usage:
+ *   node scripts/build-snapshot.js [--out projects.json] [--fixture path/to/api.json]
+ *                                  [--save-thumbnails] [--feeds]
+ *
+ * Set GITHUB_TOKEN to authenticate: discovery then uses one GraphQL query
+ * per 100 repos, includes private repos with Pages and has a higher rate limit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, createSandbox } = require('./lib/sandbox');
+const { saveThumbnails } = require('./lib/thumbnails');
+const { writeFeeds } = require('./lib/feed');
+
+/**
+ * Parses command line flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{out: string, fixture: string|null, saveThumbnails: boolean, feeds: boolean}} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        out: path.join(ROOT, 'projects.json'),
+        fixture: null,
+        saveThumbnails: false,
+        feeds: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else if (arg === '--fixture') {
+            options.fixture = path.resolve(argv[++i]);
+        } else if (arg === '--save-thumbnails') {
+            options.saveThumbnails = true;
+        } else if (arg === '--feeds') {
+            options.feeds = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Builds the snapshot and writes it to disk
+ * @param {{out: string, fixture: string|null, saveThumbnails: boolean, feeds: boolean}} options - Parsed options
+ */
+async function main(options) {
+    const sandbox = createSandbox({ fixturePath: options.fixture });
+    const { Config, GitHubAPI } = sandbox;
+
+    // Config problems are logged to the console as they are found;
+    // fatal ones reject here and fail the build
+    await Config.load();
+
+    // Tokens come from the environment only - projects.yaml is published with the site
+    if (process.env.GITHUB_TOKEN) {
+        GitHubAPI.setToken(process.env.GITHUB_TOKEN);
+        console.log('Using GITHUB_TOKEN: fetching repos with GraphQL');
+    }
+
+    const discovered = await GitHubAPI.getProjects(progress => {
+        console.log(`Fetched ${progress.loaded} repositories (page ${progress.page})`);
+    });
+    const { profile } = discovered;
+    const projects = await GitHubAPI.addReleases(discovered.projects);
+
+    // The fixture has no sites to check, so every project would look offline
+    if (Config.getPagesOptions().healthCheck && options.fixture) {
+        console.log('Skipping the health check: sites are not reachable through --fixture');
+    } else if (Config.getPagesOptions().healthCheck) {
+        const offline = await GitHubAPI.checkHealth(projects);
+        offline.forEach(project => console.warn(`Offline: ${project.name} (${project.url})`));
+    }
+
+    if (options.saveThumbnails) {
+        await saveThumbnails(sandbox, projects, ROOT);
+    }
+
+    const snapshot = {
+        generatedAt: new Date().toISOString(),
+        profile,
+        projects
+    };
+
+    const warnings = Config.getDiagnostics().length;
+    if (warnings > 0) {
+        console.warn(`projects.yaml has ${warnings} problem${warnings === 1 ? '' : 's'} (see above)`);
+    }
+
+    fs.writeFileSync(options.out, JSON.stringify(snapshot, null, 2) + '\n');
+    console.log(`Wrote ${projects.length} projects to ${path.relative(process.cwd(), options.out)}`);
+
+    // Feeds go next to the snapshot and read back the previous feed.json there
+    if (options.feeds) {
+        const outDir = path.dirname(options.out);
+        const entries = await writeFeeds(sandbox, projects, profile, outDir);
+        console.log(`Wrote ${entries} feed entries to ${path.relative(process.cwd(), path.join(outDir, 'feed.xml'))} and feed.json`);
+    }
+}
+
+main(parseArgs(process.argv.slice(2))).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Widget bundler for Project Hub
+ * Concatenates the scripts the <project-hub> web component needs into a
+ * single file, so other sites can embed the list with one <script> tag
+ *
+ * Usage:
+ *   node scripts/build-widget.js [--out dist/project-hub.js]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./lib/sandbox');
+
+// Widget dependencies in load order (the page-only modules are left out)
+const SCRIPTS = [
+    'js/vendor/js-yaml.min.js',
+    'js/languages.js',
+    'js/schema.js',
+    'js/config.js',
+    'js/cache.js',
+    'js/providers.js',
+    'js/api.js',
+    'js/thumbnails.js',
+    'js/sanitize.js',
+    'js/tiles.js',
+    'js/widget.js'
+];
+
+/**
+ * Parses command line flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{out: string}} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        out: path.join(ROOT, 'dist', 'project-hub.js')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Writes the bundle
+ * Each module is wrapped in a block so its top-level consts stay out of
+ * the host page's global scope; only ProjectHub is exported.
+ * @param {{out: string}} options - Parsed options
+ */
+function main(options) {
+    const sources = SCRIPTS.map(file => `// ${file}\n${fs.readFileSync(path.join(ROOT, file), 'utf8')}`);
+
+    const bundle = [
+        '/* Project Hub widget - generated by scripts/build-widget.js, do not edit */',
+        '{',
+        sources.join('\n'),
+        'window.ProjectHub = ProjectHub;',
+        '}',
+        ''
+    ].join('\n');
+
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, bundle);
+    console.log(`Wrote ${SCRIPTS.length} scripts to ${path.relative(process.cwd(), options.out)}`);
+}
+
+try {
+    main(parseArgs(process.argv.slice(2)));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,257 @@
+/**
+ * Feed generation for Project Hub
+ * Turns the merged project list into Atom (feed.xml) and JSON Feed
+ * (feed.json) entries for newly added projects, releases and pushes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+/**
+ * Gets the stable key a project's entries are identified by
+ * @param {Object} project - Project object
+ * @returns {string} Full repo name, else the project URL, else its name
+ */
+function getProjectKey(project) {
+    return project.fullName || project.url || project.name;
+}
+
+/**
+ * Builds an entry ID that stays the same across builds
+ * Feed readers use it to tell entries apart, so it must not depend on
+ * anything that changes between runs (dates of generation, site URL).
+ * @param {...string} parts - Entry kind, project key and an optional version
+ * @returns {string} URN such as "urn:project-hub:release:octocat/app:v1.0.0"
+ */
+function getEntryId(...parts) {
+    const encoded = parts.map(part => String(part).split('/').map(encodeURIComponent).join('/'));
+    return ['urn', 'project-hub', ...encoded].join(':');
+}
+
+/**
+ * Reads the items of a previously generated feed.json
+ * Earlier entries (older pushes and releases) are carried over, and a
+ * project's "added" date is kept from the build that first saw it.
+ * @param {string} filePath - Path to feed.json
+ * @returns {Object[]|null} Items, or null if there is no previous feed
+ */
+function readPreviousItems(filePath) {
+    try {
+        const feed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(feed.items) ? feed.items : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Fetches the latest release of every repo-backed project
+ * Releases already loaded for the version badges are reused; tag
+ * fallbacks have no date, so they never become feed entries.
+ * @param {Object} sandbox - Result of createSandbox()
+ * @param {Object[]} projects - Merged projects
+ * @returns {Promise<Map<Object, Object>>} Project => release, for projects that have one
+ */
+async function fetchReleases({ GitHubAPI }, projects) {
+    const releases = new Map();
+
+    await Promise.all(projects.filter(project => project.fullName).map(async project => {
+        try {
+            const release = project.release || await GitHubAPI.fetchLatestRelease(project);
+            if (release && release.publishedAt) {
+                releases.set(project, release);
+            }
+        } catch (error) {
+            console.warn(`Could not fetch the latest release of ${project.fullName}: ${error.message}`);
+        }
+    }));
+
+    return releases;
+}
+
+/**
+ * Builds feed items for the current project list
+ * @param {Object[]} projects - Merged projects
+ * @param {Object} options
+ * @param {Map<Object, Object>} options.releases - Latest release per project
+ * @param {boolean} options.pushes - Add an entry for each project's last push
+ * @param {Object[]|null} options.previous - Items of the previous feed.json
+ * @param {string} options.now - Generation time (ISO 8601)
+ * @returns {Object[]} JSON Feed items, newest first
+ */
+function buildItems(projects, { releases, pushes, previous, now }) {
+    const known = new Map((previous || []).map(item => [item.id, item]));
+    const items = new Map();
+
+    const add = item => items.set(item.id, item);
+
+    projects.forEach(project => {
+        const key = getProjectKey(project);
+        const url = project.url || project.repoUrl || undefined;
+        const tags = project.tags && project.tags.length > 0 ? project.tags : undefined;
+
+        // The first build has nothing to compare against, so use the repo's
+        // creation date rather than announcing every project as new today
+        const addedId = getEntryId('added', key);
+        add({
+            id: addedId,
+            url,
+            title: `New project: ${project.name}`,
+            content_text: project.description || project.name,
+            date_published: known.get(addedId)?.date_published || (previous ? now : project.createdAt || now),
+            tags
+        });
+
+        const release = releases.get(project);
+        if (release) {
+            add({
+                id: getEntryId('release', key, release.tag),
+                url: release.url,
+                title: `${project.name} ${release.name}`,
+                content_text: `${project.name} released ${release.name}.`,
+                date_published: release.publishedAt,
+                tags
+            });
+        }
+
+        if (pushes && project.pushedAt) {
+            add({
+                id: getEntryId('push', key, project.pushedAt),
+                url: project.repoUrl || url,
+                title: `${project.name} updated`,
+                content_text: `New commits were pushed to ${project.name}.`,
+                date_published: project.pushedAt,
+                tags
+            });
+        }
+    });
+
+    // Keep earlier entries that the current list no longer produces
+    (previous || []).forEach(item => {
+        if (!items.has(item.id)) {
+            add(item);
+        }
+    });
+
+    return [...items.values()].sort((a, b) => Date.parse(b.date_published) - Date.parse(a.date_published));
+}
+
+/**
+ * Creates a JSON Feed document
+ * @param {Object} meta - { title, siteUrl, author, authorUrl }
+ * @param {Object[]} items - Feed items, newest first
+ * @returns {Object} JSON Feed 1.1 object
+ */
+function toJsonFeed(meta, items) {
+    return {
+        version: JSON_FEED_VERSION,
+        title: meta.title,
+        home_page_url: meta.siteUrl || undefined,
+        feed_url: meta.siteUrl ? new URL('feed.json', meta.siteUrl).href : undefined,
+        authors: [{ name: meta.author, url: meta.authorUrl || undefined }],
+        items
+    };
+}
+
+/**
+ * Escapes text for XML element content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Creates an Atom document
+ * @param {Object} meta - { title, siteUrl, author, authorUrl, username, now }
+ * @param {Object[]} items - Feed items, newest first
+ * @returns {string} Atom XML
+ */
+function toAtom(meta, items) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(getEntryId('feed', meta.username))}</id>`,
+        `  <title>${escapeXml(meta.title)}</title>`,
+        `  <updated>${escapeXml(items[0]?.date_published || meta.now)}</updated>`
+    ];
+
+    if (meta.siteUrl) {
+        lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(meta.siteUrl)}"/>`);
+        lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(new URL('feed.xml', meta.siteUrl).href)}"/>`);
+    }
+
+    lines.push('  <author>');
+    lines.push(`    <name>${escapeXml(meta.author)}</name>`);
+    if (meta.authorUrl) {
+        lines.push(`    <uri>${escapeXml(meta.authorUrl)}</uri>`);
+    }
+    lines.push('  </author>');
+    lines.push('  <generator>Project Hub</generator>');
+
+    items.forEach(item => {
+        lines.push('  <entry>');
+        lines.push(`    <id>${escapeXml(item.id)}</id>`);
+        lines.push(`    <title>${escapeXml(item.title)}</title>`);
+        lines.push(`    <published>${escapeXml(item.date_published)}</published>`);
+        lines.push(`    <updated>${escapeXml(item.date_published)}</updated>`);
+        if (item.url) {
+            lines.push(`    <link rel="alternate" href="${escapeXml(item.url)}"/>`);
+        }
+        lines.push(`    <summary>${escapeXml(item.content_text)}</summary>`);
+        (item.tags || []).forEach(tag => lines.push(`    <category term="${escapeXml(tag)}"/>`));
+        lines.push('  </entry>');
+    });
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes feed.xml and feed.json for the merged project list
+ * @param {Object} sandbox - Result of createSandbox()
+ * @param {Object[]} projects - Merged projects from GitHubAPI.getProjects()
+ * @param {Object} profile - Profile from GitHubAPI.getProjects()
+ * @param {string} outDir - Directory the feeds are written to
+ * @returns {Promise<number>} Number of entries written
+ */
+async function writeFeeds(sandbox, projects, profile, outDir) {
+    const { Config } = sandbox;
+    const options = Config.getFeedOptions();
+    const jsonPath = path.join(outDir, 'feed.json');
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    const releases = options.releases ? await fetchReleases(sandbox, projects) : new Map();
+    const items = buildItems(projects, {
+        releases,
+        pushes: options.pushes,
+        previous: readPreviousItems(jsonPath),
+        now
+    }).slice(0, options.limit);
+
+    const meta = {
+        title: Config.getTheme().title,
+        // Treat the site URL as a directory so feed.xml resolves inside it
+        siteUrl: options.siteUrl && options.siteUrl.replace(/\/?$/, '/'),
+        author: profile?.username || Config.getUsername() || Config.getTheme().title,
+        authorUrl: profile?.profileUrl || null,
+        username: Config.getUsername(),
+        now
+    };
+
+    fs.writeFileSync(path.join(outDir, 'feed.xml'), toAtom(meta, items));
+    fs.writeFileSync(jsonPath, JSON.stringify(toJsonFeed(meta, items), null, 2) + '\n');
+
+    return items.length;
+}
+
+module.exports = {
+    writeFeeds
+};
@@ -0,0 +1,92 @@
+/**
+ * Node sandbox for Project Hub build scripts
+ * Loads the browser modules from js/ into a VM context so the build
+ * reuses exactly the same config normalization and merge logic as the page
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Browser scripts in the order index.html loads them
+const SCRIPTS = [
+    'js/vendor/js-yaml.min.js',
+    'js/languages.js',
+    'js/schema.js',
+    'js/config.js',
+    'js/cache.js',
+    'js/providers.js',
+    'js/api.js',
+    'js/thumbnails.js'
+];
+
+/**
+ * Creates a fetch implementation that serves local files for relative
+ * URLs and, when a fixture is given, canned API responses for absolute ones
+ * @param {Object} options
+ * @param {string} options.root - Directory relative URLs resolve against
+ * @param {Object|null} options.fixture - Map of "path?query" => response body
+ * @returns {Function} fetch-compatible function
+ */
+function createFetch({ root, fixture }) {
+    return async function sandboxFetch(url, init) {
+        if (!/^[a-z]+:/i.test(url)) {
+            const filePath = path.join(root, url);
+            if (!fs.existsSync(filePath)) {
+                return new Response('Not Found', { status: 404 });
+            }
+            return new Response(fs.readFileSync(filePath));
+        }
+
+        if (!fixture) {
+            return fetch(url, init);
+        }
+
+        const { pathname, search } = new URL(url);
+        const key = pathname + search;
+
+        if (!(key in fixture)) {
+            return new Response(JSON.stringify({ message: `No fixture for ${key}` }), { status: 404 });
+        }
+
+        return new Response(JSON.stringify(fixture[key]), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    };
+}
+
+/**
+ * Loads the Project Hub modules into a fresh VM context
+ * @param {Object} [options]
+ * @param {string} [options.root] - Site root containing projects.yaml
+ * @param {string} [options.fixturePath] - JSON file of canned API responses
+ * @returns {Object} Module globals ({ Config, GitHubAPI, ... }) and the sandbox's fetch
+ */
+function createSandbox({ root = ROOT, fixturePath = null } = {}) {
+    const fixture = fixturePath ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')) : null;
+
+    const context = vm.createContext({
+        console,
+        URL,
+        URLSearchParams,
+        Response,
+        Headers,
+        fetch: createFetch({ root, fixture })
+    });
+
+    SCRIPTS.forEach(script => {
+        const filePath = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    });
+
+    // Top-level consts live in the context's lexical scope, not on the global object
+    return vm.runInContext('({ Languages, ConfigSchema, Config, ApiCache, Providers, GitHubAPI, Thumbnails, fetch })', context);
+}
+
+module.exports = {
+    ROOT,
+    createSandbox
+};
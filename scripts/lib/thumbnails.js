@@ -0,0 +1,124 @@
+/**
+ * Build-time thumbnail saving for Project Hub
+ * Resolves images for projects without a configured thumbnail and saves
+ * them into images/ so the deployed site never hot-links third parties
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Custom social previews are served from here; anything else on github.com
+// is GitHub's generic generated card, which our own card replaces
+const SOCIAL_PREVIEW_HOST = 'repository-images.githubusercontent.com';
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+};
+
+/**
+ * Builds a file-name-safe slug for a project
+ * @param {Object} project - Project object
+ * @returns {string} Slug such as "darrenmcewan-max-focus"
+ */
+function slugify(project) {
+    return (project.fullName || project.name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'project';
+}
+
+/**
+ * Finds the repo's custom social preview image, if one is set
+ * @param {Object} sandbox - Result of createSandbox()
+ * @param {Object} project - Project with fullName
+ * @returns {Promise<string|null>} Image URL, or null
+ */
+async function findSocialPreview({ Thumbnails }, project) {
+    if (!project.fullName || project.provider !== 'github') {
+        return null;
+    }
+
+    const image = await Thumbnails.fetchOgImage(`https://github.com/${project.fullName}`);
+    return image && new URL(image).host === SOCIAL_PREVIEW_HOST ? image : null;
+}
+
+/**
+ * Downloads an image into the images directory
+ * @param {Function} fetch - fetch implementation
+ * @param {string} url - Image URL
+ * @param {string} basePath - Destination path without extension
+ * @returns {Promise<string|null>} Saved file path, or null if the download failed
+ */
+async function download(fetch, url, basePath) {
+    try {
+        const response = await fetch(url);
+        const type = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+        const extension = EXTENSIONS[type];
+
+        if (!response.ok || !extension) {
+            return null;
+        }
+
+        const filePath = `${basePath}.${extension}`;
+        fs.writeFileSync(filePath, Buffer.from(await response.arrayBuffer()));
+        return filePath;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolves and saves a thumbnail for every project that lacks one
+ * Order: custom social preview, deployed site og:image, generated card.
+ * Sets each project's `thumbnail` to the saved file's site-relative path.
+ * @param {Object} sandbox - Result of createSandbox()
+ * @param {Object[]} projects - Projects to update
+ * @param {string} root - Site root (images/ is created under it)
+ * @returns {Promise<number>} Number of thumbnails saved
+ */
+async function saveThumbnails(sandbox, projects, root) {
+    const { Config, Thumbnails, fetch } = sandbox;
+    const options = Config.getThumbnailOptions();
+    const imagesDir = path.join(root, 'images');
+    let saved = 0;
+
+    fs.mkdirSync(imagesDir, { recursive: true });
+
+    for (const project of projects.filter(p => !p.thumbnail)) {
+        const basePath = path.join(imagesDir, `auto-${slugify(project)}`);
+        let filePath = null;
+
+        // Site images are looked up here even with `siteImages: false`, which
+        // only keeps visitors' browsers from fetching the sites
+        const candidates = [await findSocialPreview(sandbox, project)];
+        if (/^https?:/i.test(project.url || '')) {
+            candidates.push(await Thumbnails.fetchOgImage(project.url));
+        }
+
+        for (const url of candidates.filter(Boolean)) {
+            filePath = await download(fetch, url, basePath);
+            if (filePath) break;
+        }
+
+        if (!filePath && options.generate) {
+            filePath = `${basePath}.svg`;
+            fs.writeFileSync(filePath, Thumbnails.generateCard(project));
+        }
+
+        if (filePath) {
+            project.thumbnail = path.relative(root, filePath).split(path.sep).join('/');
+            console.log(`Thumbnail: ${project.name} -> ${project.thumbnail}`);
+            saved++;
+        }
+    }
+
+    return saved;
+}
+
+module.exports = {
+    saveThumbnails
+};
@@ -0,0 +1,199 @@
+/**
+ * Service worker for Project Hub
+ * Precaches the page shell, the YAML parser, projects.yaml and the
+ * thumbnails it lists, so the hub opens offline once it has been visited.
+ * The page, scripts and styles are served network-first, so a deploy takes
+ * effect on the next load and never mixes old and new files. Other
+ * same-origin files (projects.yaml, the projects.json snapshot, images) are
+ * served stale-while-revalidate: the cached copy renders at once and the
+ * network copy replaces it for the next visit.
+ */
+
+importScripts('js/vendor/js-yaml.min.js');
+
+// Bump to drop every cached file on the next visit
+const CACHE_NAME = 'project-hub-v1';
+const CACHE_PREFIX = 'project-hub-';
+
+const CONFIG_FILE = 'projects.yaml';
+
+// Everything index.html loads; keep in sync with its <link> and <script> tags
+const SHELL = [
+    './',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'images/icons/icon.svg',
+    'images/icons/icon-192.png',
+    'js/theme-init.js',
+    'js/vendor/js-yaml.min.js',
+    'js/languages.js',
+    'js/schema.js',
+    'js/config.js',
+    'js/cache.js',
+    'js/providers.js',
+    'js/api.js',
+    'js/search.js',
+    'js/thumbnails.js',
+    'js/sanitize.js',
+    'js/tiles.js',
+    'js/stats.js',
+    'js/widget.js',
+    'js/app.js'
+];
+
+/**
+ * Gets the local thumbnails a projects.yaml refers to
+ * Remote images are left to the browser's HTTP cache.
+ * @param {string} text - projects.yaml contents
+ * @returns {string[]} Thumbnail paths relative to the site
+ */
+function getConfigImages(text) {
+    let config;
+    try {
+        config = jsyaml.load(text);
+    } catch (error) {
+        return [];
+    }
+
+    const projects = config && Array.isArray(config.projects) ? config.projects : [];
+    return projects
+        .map(project => project && project.thumbnail)
+        .filter(thumbnail => typeof thumbnail === 'string' && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(thumbnail));
+}
+
+/**
+ * Caches the thumbnails listed in projects.yaml
+ * A missing image is skipped rather than failing the whole install.
+ * @param {Cache} cache - Open cache
+ * @param {string} text - projects.yaml contents
+ * @returns {Promise<void>}
+ */
+async function cacheConfigImages(cache, text) {
+    const images = getConfigImages(text);
+
+    await Promise.all(images.map(async image => {
+        if (await cache.match(image)) {
+            return;
+        }
+        try {
+            await cache.add(image);
+        } catch (error) {
+            console.warn(`Could not cache ${image}:`, error.message);
+        }
+    }));
+}
+
+/**
+ * Gets the cache key for a request
+ * Navigations share one entry so ?tags= and ?debug links still open offline.
+ * @param {Request} request - Incoming request
+ * @returns {Request|string} Cache key
+ */
+function getCacheKey(request) {
+    if (request.mode === 'navigate') {
+        const url = new URL(request.url);
+        return url.origin + url.pathname;
+    }
+    return request;
+}
+
+/**
+ * Checks whether a request is for the page shell (the page, scripts and styles)
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if it should be served network-first
+ */
+function isShellRequest(request) {
+    return request.mode === 'navigate' || /\.(html|js|css|webmanifest)$/i.test(new URL(request.url).pathname);
+}
+
+/**
+ * Serves a network response, falling back to the cache when offline
+ * @param {FetchEvent} event - Fetch event for a same-origin GET
+ * @returns {Promise<Response>} Network response, else the cached one
+ */
+async function networkFirst(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    const key = getCacheKey(request);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            event.waitUntil(cache.put(key, response.clone()));
+        }
+        return response;
+    } catch (error) {
+        // Offline: pages without a cached copy of their own fall back to the shell
+        const cached = await cache.match(key) || (request.mode === 'navigate' && await cache.match('./'));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serves a cached response and refreshes it from the network
+ * @param {FetchEvent} event - Fetch event for a same-origin GET
+ * @returns {Promise<Response>} Cached response, else the network response
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    const key = getCacheKey(request);
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request).then(async response => {
+        if (response.ok) {
+            await cache.put(key, response.clone());
+
+            // New thumbnails added to projects.yaml should work offline too
+            if (new URL(request.url).pathname.endsWith(`/${CONFIG_FILE}`)) {
+                await cacheConfigImages(cache, await response.clone().text());
+            }
+        }
+        return response;
+    });
+
+    // Keep the worker alive until the cache is updated
+    event.waitUntil(refresh.catch(() => {}));
+
+    return cached || refresh;
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(SHELL);
+
+        const response = await fetch(CONFIG_FILE, { cache: 'no-cache' });
+        if (response.ok) {
+            await cache.put(CONFIG_FILE, response.clone());
+            await cacheConfigImages(cache, await response.text());
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+
+    // API calls and other sites are cached by the page itself (see js/cache.js)
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(isShellRequest(request) ? networkFirst(event) : staleWhileRevalidate(event));
+});
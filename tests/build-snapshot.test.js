@@ -0,0 +1,76 @@
+/**
+ * scripts/build-snapshot.js against the canned API responses in scripts/fixtures
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT } = require('../scripts/lib/sandbox');
+
+/**
+ * Runs the build with the fixture and reads back the projects.json it writes
+ * @returns {Object} Parsed snapshot
+ */
+function buildSnapshot() {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-hub-'));
+    const out = path.join(outDir, 'projects.json');
+    const env = { ...process.env };
+    delete env.GITHUB_TOKEN;
+
+    try {
+        execFileSync(process.execPath, [
+            path.join(ROOT, 'scripts', 'build-snapshot.js'),
+            '--fixture', path.join(ROOT, 'scripts', 'fixtures', 'github-api.json'),
+            '--out', out
+        ], { cwd: ROOT, env, stdio: 'pipe' });
+
+        return JSON.parse(fs.readFileSync(out, 'utf8'));
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+}
+
+const snapshot = buildSnapshot();
+const byName = Object.fromEntries(snapshot.projects.map(project => [project.name, project]));
+
+test('writes the profile and a generation time', () => {
+    assert.ok(!Number.isNaN(Date.parse(snapshot.generatedAt)));
+    assert.deepStrictEqual(snapshot.profile, {
+        username: 'darrenmcewan',
+        avatarUrl: 'https://avatars.githubusercontent.com/u/1?v=4',
+        profileUrl: 'https://github.com/darrenmcewan'
+    });
+});
+
+test('lists repos with Pages plus projects.yaml entries, minus exclusions', () => {
+    assert.deepStrictEqual(Object.keys(byName).sort(), [
+        'Caffeine-Calculator',
+        'UI for yt-dlp',
+        'birthday-ics-tool',
+        'max-focus'
+    ]);
+});
+
+test('resolves discovered repos to their Pages site and source', () => {
+    const project = byName['max-focus'];
+
+    assert.strictEqual(project.url, 'https://darrenmcewan.github.io/max-focus/');
+    assert.strictEqual(project.repoUrl, 'https://github.com/darrenmcewan/max-focus');
+    assert.strictEqual(project.description, 'A minimal focus timer');
+    assert.strictEqual(project.isAutoDiscovered, true);
+});
+
+test('merges projects.yaml entries over the repo they name', () => {
+    const project = byName['UI for yt-dlp'];
+
+    assert.strictEqual(project.url, 'https://github.com/darrenmcewan/ytdlp-ui');
+    assert.strictEqual(project.thumbnail, 'images/ytdlp.png');
+    assert.strictEqual(project.isAutoDiscovered, false);
+});
+
+test('leaves out release badges while release lookups are off', () => {
+    assert.ok(snapshot.projects.every(project => !project.release));
+});
@@ -0,0 +1,113 @@
+/**
+ * Feed generation (scripts/lib/feed.js) from the canned API responses in scripts/fixtures
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT, createSandbox } = require('../scripts/lib/sandbox');
+const { writeFeeds } = require('../scripts/lib/feed');
+
+const FIXTURE = path.join(ROOT, 'scripts', 'fixtures', 'github-api.json');
+
+// One discovered repo is excluded; the manual project has no repo and no createdAt
+const CONFIG = `
+username: darrenmcewan
+exclude:
+  - project-aggregator
+projects:
+  - name: Sketchbook
+    url: "https://example.com/sketchbook/"
+    description: "Drawings"
+feed:
+  siteUrl: "https://darrenmcewan.github.io/project-aggregator"
+`;
+
+let root;
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'project-hub-'));
+    fs.writeFileSync(path.join(root, 'projects.yaml'), CONFIG);
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+/**
+ * Builds both feeds into a directory with a fresh sandbox, as build-snapshot.js --feeds does
+ * @param {string} outDir - Directory for feed.xml and feed.json (and any previous feed.json)
+ * @returns {Promise<{json: Object, atom: string}>} The written feeds
+ */
+async function buildFeeds(outDir) {
+    const sandbox = createSandbox({ root, fixturePath: FIXTURE });
+    await sandbox.Config.load();
+
+    const { projects, profile } = await sandbox.GitHubAPI.getProjects();
+    await writeFeeds(sandbox, projects, profile, outDir);
+
+    return {
+        json: JSON.parse(fs.readFileSync(path.join(outDir, 'feed.json'), 'utf8')),
+        atom: fs.readFileSync(path.join(outDir, 'feed.xml'), 'utf8')
+    };
+}
+
+/**
+ * Gets the entry IDs of an Atom document
+ * @param {string} atom - Atom XML
+ * @returns {string[]} Entry IDs in document order
+ */
+function getAtomIds(atom) {
+    return [...atom.matchAll(/<entry>\s*<id>([^<]+)<\/id>/g)].map(match => match[1]);
+}
+
+/**
+ * Creates an empty output directory under the test root
+ * @param {string} name - Directory name
+ * @returns {string} Directory path
+ */
+function createOutDir(name) {
+    const dir = path.join(root, name);
+    fs.mkdirSync(dir);
+    return dir;
+}
+
+test('entry IDs are the same across separate builds', async () => {
+    const first = await buildFeeds(createOutDir('first'));
+    const second = await buildFeeds(createOutDir('second'));
+    const ids = first.json.items.map(item => item.id);
+
+    assert.ok(ids.length > 0);
+    assert.deepStrictEqual(second.json.items.map(item => item.id), ids);
+    assert.deepStrictEqual(getAtomIds(first.atom), ids);
+    assert.deepStrictEqual(getAtomIds(second.atom), ids);
+
+    assert.ok(ids.includes('urn:project-hub:added:darrenmcewan/max-focus'));
+    assert.ok(ids.includes('urn:project-hub:release:darrenmcewan/max-focus:v1.2.0'));
+    assert.ok(ids.includes('urn:project-hub:added:https%3A//example.com/sketchbook/'));
+    assert.ok(!ids.some(id => id.includes('project-aggregator')));
+});
+
+test('rebuilding over a previous feed keeps its entries and dates', async () => {
+    const outDir = createOutDir('rebuilt');
+    const first = await buildFeeds(outDir);
+    const second = await buildFeeds(outDir);
+
+    assert.deepStrictEqual(second.json.items, first.json.items);
+});
+
+test('a first build dates projects without a creation date with the build time', async () => {
+    const start = Math.floor(Date.now() / 1000) * 1000;
+    const { json } = await buildFeeds(createOutDir('dated'));
+    const end = Date.now();
+
+    const manual = json.items.find(item => item.title === 'New project: Sketchbook');
+    const published = Date.parse(manual.date_published);
+    assert.ok(published >= start && published <= end, `${manual.date_published} is not the build time`);
+
+    // Discovered repos keep their creation date instead of all appearing new today
+    const discovered = json.items.find(item => item.id === 'urn:project-hub:added:darrenmcewan/max-focus');
+    assert.ok(Date.parse(discovered.date_published) < start);
+});
@@ -0,0 +1,211 @@
+/**
+ * GitLab, Gitea/Codeberg and JSON list discovery against a local mock API server
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createSandbox } = require('../scripts/lib/sandbox');
+
+// Canned responses by "path?query"; anything else is a 404
+const ROUTES = {
+    '/api/v4/users/alice/projects?per_page=100&page=1': [
+        {
+            name: 'Notes',
+            path: 'notes',
+            path_with_namespace: 'alice/notes',
+            namespace: { full_path: 'alice' },
+            description: 'No Pages site',
+            web_url: 'http://gitlab.test/alice/notes',
+            topics: ['markdown'],
+            star_count: 3,
+            forks_count: 0,
+            created_at: '2024-01-01T00:00:00Z',
+            last_activity_at: '2024-06-01T00:00:00Z'
+        },
+        {
+            name: 'alice.pages.test',
+            path: 'alice.pages.test',
+            path_with_namespace: 'alice/alice.pages.test',
+            namespace: { full_path: 'alice' },
+            description: 'Root Pages site',
+            web_url: 'http://gitlab.test/alice/alice.pages.test',
+            topics: [],
+            star_count: 1,
+            forks_count: 0,
+            created_at: '2024-01-01T00:00:00Z',
+            last_activity_at: '2024-06-01T00:00:00Z'
+        }
+    ],
+    '/api/v4/users?username=alice': [
+        { username: 'alice', avatar_url: null, web_url: 'http://gitlab.test/alice' }
+    ],
+    '/api/v1/users/bob/repos?limit=50&page=1': [
+        { name: 'blog', full_name: 'bob/blog', owner: { login: 'bob' }, website: 'https://blog.example.com', html_url: 'http://gitea.test/bob/blog' },
+        { name: 'game', full_name: 'bob/game', owner: { login: 'bob' }, website: '', html_url: 'http://gitea.test/bob/game' },
+        { name: 'tool', full_name: 'bob/tool', owner: { login: 'bob' }, website: '', html_url: 'http://gitea.test/bob/tool' },
+        { name: 'pages', full_name: 'bob/pages', owner: { login: 'bob' }, website: '', html_url: 'http://gitea.test/bob/pages' },
+        { name: 'secret', full_name: 'bob/secret', owner: { login: 'bob' }, private: true, html_url: 'http://gitea.test/bob/secret' }
+    ],
+    '/api/v1/users/bob': { login: 'bob', avatar_url: null },
+    '/api/v1/repos/bob/game/branches/pages': { name: 'pages' },
+    '/list.json': [
+        { name: 'Listed', url: 'https://listed.example/', fullName: 'carol/listed', description: 'From a list', pushedAt: '2024-06-01T00:00:00Z' },
+        { name: 'Hostile', url: 'https://hostile.example/', repo: 5, owner: 5, fullName: 5, description: 5, language: 5, license: 5, createdAt: 5, pushedAt: 'yesterday' }
+    ]
+};
+
+let server;
+let requests;
+let host;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        requests.push(request.url);
+
+        if (!(request.url in ROUTES)) {
+            response.writeHead(404, { 'Content-Type': 'application/json' });
+            response.end('{"message":"Not Found"}');
+            return;
+        }
+
+        const body = ROUTES[request.url];
+        response.writeHead(200, {
+            'Content-Type': 'application/json',
+            'X-Total-Pages': '1',
+            'X-Total-Count': String(Array.isArray(body) ? body.length : 1)
+        });
+        response.end(JSON.stringify(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    host = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Loads the projects for a config through the sandbox, with the mock server as the forge
+ * @param {string} yaml - projects.yaml contents
+ * @param {string} [key='fullName'] - Project field to key the result by
+ * @returns {Promise<Object>} Projects by that field
+ */
+async function discover(yaml, key = 'fullName') {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'project-hub-'));
+    requests = [];
+
+    try {
+        fs.writeFileSync(path.join(root, 'projects.yaml'), yaml);
+        const { Config, GitHubAPI } = createSandbox({ root });
+        await Config.load();
+
+        const { projects, failures } = await GitHubAPI.getProjects();
+        assert.strictEqual(failures.length, 0);
+        return Object.fromEntries(projects.map(project => [project[key], project]));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+test('GitLab lists only the root Pages site', async () => {
+    const projects = await discover(`
+sources:
+  - provider: gitlab
+    host: ${host}
+    pagesDomain: pages.test
+    user: alice
+`);
+
+    assert.deepStrictEqual(Object.keys(projects), ['alice/alice.pages.test']);
+    assert.strictEqual(projects['alice/alice.pages.test'].url, 'https://alice.pages.test/');
+    assert.strictEqual(projects['alice/alice.pages.test'].host, host);
+});
+
+test('GitLab projects without a known site link to the project once every project is asked for', async () => {
+    const projects = await discover(`
+sources:
+  - provider: gitlab
+    host: ${host}
+    pagesDomain: pages.test
+    user: alice
+    all: true
+`);
+
+    assert.strictEqual(projects['alice/notes'].url, 'http://gitlab.test/alice/notes');
+    assert.strictEqual(projects['alice/notes'].repoUrl, 'http://gitlab.test/alice/notes');
+    assert.deepStrictEqual([...projects['alice/notes'].tags], ['markdown']);
+    assert.strictEqual(projects['alice/alice.pages.test'].url, 'https://alice.pages.test/');
+});
+
+test('Gitea lists repos with a website or the root Pages site, without a Pages lookup', async () => {
+    const projects = await discover(`
+sources:
+  - provider: gitea
+    host: ${host}
+    pagesDomain: pages.test
+    user: bob
+`);
+
+    assert.deepStrictEqual(Object.keys(projects).sort(), ['bob/blog', 'bob/pages']);
+    assert.strictEqual(projects['bob/blog'].url, 'https://blog.example.com');
+    assert.strictEqual(projects['bob/pages'].url, 'https://bob.pages.test/');
+    assert.ok(!requests.some(url => url.includes('/branches/')));
+});
+
+test('Gitea repos without a known site link to the repo once every repo is asked for', async () => {
+    const projects = await discover(`
+sources:
+  - provider: gitea
+    host: ${host}
+    pagesDomain: pages.test
+    user: bob
+    all: true
+`);
+
+    assert.strictEqual(projects['bob/game'].url, 'http://gitea.test/bob/game');
+    assert.strictEqual(projects['bob/tool'].url, 'http://gitea.test/bob/tool');
+    assert.strictEqual(projects['bob/secret'], undefined);
+});
+
+test('Gitea repos with a pages branch link to their Pages site once lookups are on', async () => {
+    const projects = await discover(`
+sources:
+  - provider: gitea
+    host: ${host}
+    pagesDomain: pages.test
+    user: bob
+pages:
+  lookup: true
+`);
+
+    assert.strictEqual(projects['bob/game'].url, 'https://bob.pages.test/game/');
+    assert.strictEqual(projects['bob/tool'], undefined);
+    assert.strictEqual(projects['bob/blog'].url, 'https://blog.example.com');
+    assert.ok(!requests.includes('/api/v1/repos/bob/blog/branches/pages'));
+});
+
+test('JSON list values of the wrong type are dropped', async () => {
+    const projects = await discover(`
+sources:
+  - provider: json
+    url: ${host}/list.json
+`, 'name');
+
+    assert.strictEqual(projects.Listed.fullName, 'carol/listed');
+    assert.strictEqual(projects.Listed.description, 'From a list');
+    assert.strictEqual(projects.Listed.pushedAt, '2024-06-01T00:00:00Z');
+
+    const hostile = projects.Hostile;
+    assert.strictEqual(hostile.url, 'https://hostile.example/');
+    assert.strictEqual(hostile.repo, null);
+    assert.strictEqual(hostile.owner, null);
+    assert.strictEqual(hostile.fullName, null);
+    assert.strictEqual(hostile.description, '');
+    assert.strictEqual(hostile.language, null);
+    assert.strictEqual(hostile.license, null);
+    assert.strictEqual(hostile.createdAt, null);
+    assert.strictEqual(hostile.pushedAt, null);
+});
@@ -0,0 +1,211 @@
+/**
+ * Rendering hostile projects.json and projects.yaml values into tiles and list rows (index.html in jsdom)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ROOT } = require('../scripts/lib/sandbox');
+
+const PAGE_URL = 'http://localhost/';
+
+// Markup that must come out as text, never as elements
+const HTML_DESCRIPTION = '<img src=x onerror="window.injected = true"><script>window.injected = true</script>';
+const SCRIPT_URL = 'javascript:window.injected = true';
+const TAB_SCRIPT_URL = 'java\tscript:window.injected = true';
+const DATA_URL = 'data:text/html,<script>window.injected = true</script>';
+const SVG_URL = "data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' onload='window.injected = true'/>";
+
+/**
+ * Creates a projects.json whose projects carry unsafe URLs and markup
+ * The snapshot is rendered as-is, so unlike projects.yaml (see ConfigSchema)
+ * nothing has checked these values before the tiles are built.
+ * @returns {Object} Snapshot
+ */
+function createSnapshot() {
+    const project = {
+        description: HTML_DESCRIPTION,
+        tags: ['<i>tag</i>'],
+        language: '<u>Lang</u>',
+        stars: 1,
+        createdAt: '2024-01-01T00:00:00Z',
+        pushedAt: '2024-01-02T00:00:00Z',
+        isAutoDiscovered: true,
+        provider: 'github'
+    };
+
+    return {
+        generatedAt: new Date().toISOString(),
+        profile: { username: 'darrenmcewan', avatarUrl: SCRIPT_URL, profileUrl: TAB_SCRIPT_URL },
+        projects: [
+            {
+                ...project,
+                name: 'Script link',
+                fullName: 'darrenmcewan/script-link',
+                url: SCRIPT_URL,
+                repoUrl: SCRIPT_URL,
+                thumbnail: SCRIPT_URL,
+                release: { name: 'v1', tag: 'v1', url: SCRIPT_URL, publishedAt: null, download: { name: 'x.zip', url: SCRIPT_URL } }
+            },
+            {
+                ...project,
+                name: 'Tab-split script link',
+                url: TAB_SCRIPT_URL,
+                repoUrl: ` ${TAB_SCRIPT_URL}`,
+                thumbnail: TAB_SCRIPT_URL
+            },
+            {
+                ...project,
+                name: '<em>Data link</em>',
+                url: DATA_URL,
+                repoUrl: DATA_URL,
+                thumbnail: SVG_URL
+            },
+            {
+                ...project,
+                name: 'Safe',
+                url: 'https://example.com/',
+                repoUrl: 'https://github.com/darrenmcewan/safe',
+                thumbnail: 'images/safe.png'
+            }
+        ]
+    };
+}
+
+/**
+ * Creates a projects.yaml that renders the snapshot only, plus manual projects with unsafe URLs
+ * @param {string} layout - cards, list or compact
+ * @returns {string} YAML
+ */
+function createConfig(layout) {
+    return `
+username: darrenmcewan
+layout: ${layout}
+liveRefresh: false
+display:
+  release: true
+projects:
+  - name: Config script link
+    url: "${SCRIPT_URL}"
+    thumbnail: "java\\tscript:window.injected = true"
+    description: '${HTML_DESCRIPTION}'
+`;
+}
+
+/**
+ * Loads index.html with its scripts inlined and a fetch that serves the config and snapshot
+ * @param {string} layout - Layout set in projects.yaml
+ * @returns {Promise<JSDOM>} Loaded page, once the tiles are rendered
+ */
+async function loadPage(layout) {
+    const files = {
+        '/projects.yaml': createConfig(layout),
+        '/projects.json': JSON.stringify(createSnapshot())
+    };
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="([^"]+)"><\/script>/g, (match, src) => {
+            const code = fs.readFileSync(path.join(ROOT, src), 'utf8').replace(/<\/script>/g, '<\\/script>');
+            return `<script>${code}</script>`;
+        });
+
+    const dom = new JSDOM(html, {
+        url: PAGE_URL,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+        beforeParse(window) {
+            window.matchMedia = media => ({ matches: false, media, addEventListener() {}, removeEventListener() {} });
+            window.scrollTo = () => {};
+            window.fetch = async url => {
+                const { origin, pathname } = new URL(url, PAGE_URL);
+                const body = origin === new URL(PAGE_URL).origin ? files[pathname] : undefined;
+
+                return body === undefined
+                    ? new Response('{}', { status: 404 })
+                    : new Response(body, { status: 200 });
+            };
+        }
+    });
+
+    const root = dom.window.document.getElementById('project-hub').shadowRoot;
+    for (let i = 0; i < 50 && root.querySelectorAll('.project-tile, .project-row').length < 4; i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    return dom;
+}
+
+/**
+ * Whether a rendered link or image URL is safe to follow
+ * @param {string} value - href or src attribute
+ * @returns {boolean} True for http(s), relative and generated placeholder URLs
+ */
+function isSafeUrl(value) {
+    if (value.startsWith('data:image/svg+xml;charset=utf-8,')) {
+        // Placeholders generated by Thumbnails, with no script in them
+        return !/<script|\son\w+\s*=/i.test(decodeURIComponent(value));
+    }
+
+    const { protocol } = new URL(value, PAGE_URL);
+    return protocol === 'http:' || protocol === 'https:';
+}
+
+/**
+ * Asserts a part of the page has only safe links and images and no injected markup
+ * @param {Document|ShadowRoot|Element} root - Part of the page to check
+ */
+function assertSafe(root) {
+    root.querySelectorAll('[href]').forEach(element => {
+        assert.ok(isSafeUrl(element.getAttribute('href')), `unsafe href ${element.getAttribute('href')}`);
+    });
+    root.querySelectorAll('[src]').forEach(element => {
+        assert.ok(isSafeUrl(element.getAttribute('src')), `unsafe src ${element.getAttribute('src')}`);
+    });
+
+    // Nothing from a name, description, tag or language became an element
+    assert.strictEqual(root.querySelectorAll('script, em, i, u, [onerror], [onclick], [onload]').length, 0);
+}
+
+for (const layout of ['cards', 'list']) {
+    test(`${layout}: unsafe URLs are dropped and markup is shown as text`, async () => {
+        const { window } = await loadPage(layout);
+        const root = window.document.getElementById('project-hub').shadowRoot;
+        const items = root.querySelectorAll('.project-tile, .project-row');
+
+        try {
+            assert.strictEqual(items.length, 4);
+            assertSafe(root);
+            assertSafe(window.document.querySelector('.header'));
+            assert.strictEqual(root.querySelectorAll('img:not(.tile-thumbnail)').length, 0);
+            assert.ok(root.textContent.includes(HTML_DESCRIPTION));
+            assert.ok(root.textContent.includes('<em>Data link</em>'));
+            assert.strictEqual(window.injected, undefined);
+        } finally {
+            window.close();
+        }
+    });
+}
+
+test('the detail view drops unsafe site, source and download links', async () => {
+    const { window } = await loadPage('cards');
+    const { document } = window;
+    const links = [...document.getElementById('project-hub').shadowRoot.querySelectorAll('.tile-link')];
+    const content = document.getElementById('detail-content');
+
+    try {
+        for (const link of links) {
+            window.location.hash = link.getAttribute('href');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert.ok(content.textContent.includes(link.textContent), `no details for ${link.textContent}`);
+            assertSafe(content);
+        }
+
+        // Only the safe project links out
+        assert.strictEqual(window.injected, undefined);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,47 @@
+/**
+ * Search highlighting (js/search.js) on text that changes length when lowercased
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT } = require('../scripts/lib/sandbox');
+
+const context = vm.createContext({});
+vm.runInContext(`${fs.readFileSync(path.join(ROOT, 'js', 'search.js'), 'utf8')}\nthis.Search = Search;`, context);
+const { Search } = context;
+
+/**
+ * Gets the highlighted parts of a text
+ * @param {string} text - Text to highlight
+ * @param {string[]} needles - Lowercased substrings to highlight
+ * @returns {string[]} Highlighted segments, in order
+ */
+function highlighted(text, needles) {
+    return [...Search.highlight(text, needles)].filter(segment => segment.match).map(segment => segment.text);
+}
+
+test('highlights the matched text', () => {
+    assert.deepStrictEqual(highlighted('Max Focus timer', ['focus']), ['Focus']);
+});
+
+test('highlights after a character that lowercases to two code units', () => {
+    assert.deepStrictEqual(highlighted('İstanbul Guide', ['guide']), ['Guide']);
+});
+
+test('highlights a character by its lowercase form', () => {
+    assert.deepStrictEqual(highlighted('Go İzmir', ['i̇']), ['İ']);
+});
+
+test('highlights the whole character when the match ends inside its lowercase form', () => {
+    assert.deepStrictEqual(highlighted('Go İzmir', ['go i']), ['Go İ']);
+});
+
+test('keeps every character of the text', () => {
+    const text = 'İİ Guide İ';
+    const segments = Search.highlight(text, ['guide', 'i̇']);
+
+    assert.strictEqual(segments.map(segment => segment.text).join(''), text);
+});